@@ -2,51 +2,73 @@ import {
   createPublicClient,
   createWalletClient,
   custom,
+  decodeErrorResult,
   decodeEventLog,
+  decodeFunctionData,
   encodeFunctionData,
+  formatUnits,
   getAddress,
   isAddress,
-  parseAbi,
-} from "https://esm.sh/viem@2.24.3";
+  parseAbiItem,
+  recoverAddress,
+} from "viem";
 import { CADMOS_PROFILES } from "./profiles.js";
-
-const walletAbi = parseAbi(["function nonce() view returns (uint256)"]);
-
-const erc20Abi = parseAbi([
-  "function balanceOf(address owner) view returns (uint256)",
-  "function transfer(address to, uint256 amount) returns (bool)",
-]);
-
-const cadmosAbi = parseAbi([
-  "function maxWithdraw(address owner) view returns (uint256)",
-  "function maxRedeem(address owner) view returns (uint256)",
-  "function withdraw(uint256 assets, address receiver, address owner) returns (uint256)",
-  "function redeem(uint256 shares, address receiver, address owner) returns (uint256)",
-]);
-
-const controllerAbi = parseAbi([
-  "function executeSignedCalls(address wallet, (address target,address signatory,bytes data,bytes signature,uint256 deadline)[] calls, bool continueOnFailure) returns (bool[] successes, bytes[] returnData)",
-  "event WalletCallExecuted(uint256 indexed index,address indexed wallet,address indexed target,bool success,bytes returnData)",
-]);
+import {
+  DEFAULT_MULTICALL3_ADDRESS,
+  SELECTOR_APPROVE,
+  SELECTOR_ERC1155_SAFE_TRANSFER,
+  SELECTOR_ERC721_SAFE_TRANSFER,
+  SELECTOR_RECOVER_ALL,
+  SELECTOR_RECOVER_WITH_AMOUNTS,
+  SELECTOR_REDEEM,
+  SELECTOR_TRANSFER,
+  SELECTOR_WITHDRAW,
+  adapterAbi,
+  approvalEvent,
+  batchRead,
+  cadmosAbi,
+  checkSweepCalls,
+  checkWalletSetup,
+  controllerAbi,
+  controllerExecution,
+  decodeAdapterResults,
+  describeAdapterResult,
+  describeRevert,
+  encodeExecuteRecoveryPlan,
+  encodeExecuteSignedCalls,
+  erc1155Abi,
+  erc20Abi,
+  erc721Abi,
+  firstNonceGap,
+  formatAmount,
+  formatVaultPreview,
+  parseSweep,
+  planAdapterSweep,
+  planRecoveryCalls,
+  requestDigest,
+  requestTypedData,
+  safeRead,
+  serializeBundle,
+  signRecoveryCalls,
+  simulateCalls,
+  simulateExecution,
+  simulationLabel,
+  transferBatchEvent,
+  transferEvent,
+  transferSingleEvent,
+  walletAbi,
+} from "./recoveryPlan.js";
 
 const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
 const STORAGE_KEY = "cadmos_panic_recovery_v1";
-const DEFAULT_CHAIN_ID = 42161;
-const DEFAULT_CHAIN_HEX = "0xa4b1";
-const SELECTOR_WITHDRAW = "0xb460af94";
-const SELECTOR_REDEEM = "0xba087652";
-const ARBITRUM_CHAIN = {
-  id: DEFAULT_CHAIN_ID,
-  name: "Arbitrum One",
-  nativeCurrency: { name: "Ether", symbol: "ETH", decimals: 18 },
-  rpcUrls: {
-    default: { http: ["https://arb1.arbitrum.io/rpc"] },
-    public: { http: ["https://arb1.arbitrum.io/rpc"] },
-  },
-  blockExplorers: {
-    default: { name: "Arbiscan", url: "https://arbiscan.io" },
-  },
-};
+const JOURNAL_KEY_PREFIX = "cadmos_panic_recovery_journal_v1";
+const JOURNAL_DONE_STATUSES = new Set(["success", "skipped"]);
+const DEFAULT_NATIVE_CURRENCY = { name: "Ether", symbol: "ETH", decimals: 18 };
+const DEFAULT_LOG_CHUNK_SIZE = 10_000n;
+const GAS_ESTIMATE_BUFFER_PERCENT = 20n;
+const PLACEHOLDER_SIGNATURE = `0x${"00".repeat(65)}`;
+const DEFAULT_RELAY_URL = "/relay";
+const SHARE_LINK_PREFIX = "bundle=";
 const DEFAULT_OUTPUT_MESSAGE =
   "Connect your signatory wallet, paste your Cadmos Smart Account address, then click \"Scan & Build Plan\".\n\n" +
   "Before recovering, review:\n" +
@@ -59,10 +81,17 @@ const DEFAULT_OUTPUT_MESSAGE =
 const state = {
   account: null,
   chainId: null,
+  selectedChainId: null,
   profile: null,
   scannedPlan: null,
   generated: null,
   generatedFingerprint: null,
+  droppedSteps: new Set(),
+  // ERC-4626 handling per vault (lowercase address -> "transfer" | "redeem"); unset means "transfer".
+  vaultChoices: new Map(),
+  discovery: null,
+  discoveryCancelled: false,
+  importedBundle: null,
 };
 
 const els = {
@@ -71,7 +100,34 @@ const els = {
   chainBadge: document.getElementById("chainBadge"),
   profileBadge: document.getElementById("profileBadge"),
   nonceBadge: document.getElementById("nonceBadge"),
+  planTable: document.getElementById("planTable"),
+  planTableBody: document.getElementById("planTableBody"),
+  findWalletsBtn: document.getElementById("findWalletsBtn"),
+  walletCandidatesTable: document.getElementById("walletCandidatesTable"),
+  walletCandidatesBody: document.getElementById("walletCandidatesBody"),
+  resultsTable: document.getElementById("resultsTable"),
+  resultsTableBody: document.getElementById("resultsTableBody"),
+
+  resumePanel: document.getElementById("resumePanel"),
+  resumeSummary: document.getElementById("resumeSummary"),
+  resumeBtn: document.getElementById("resumeBtn"),
+  discardJournalBtn: document.getElementById("discardJournalBtn"),
+
+  verifyFileInput: document.getElementById("verifyFileInput"),
+  verifyTextInput: document.getElementById("verifyTextInput"),
+  verifyBundleBtn: document.getElementById("verifyBundleBtn"),
+
+  decodeCalldataInput: document.getElementById("decodeCalldataInput"),
+  decodeDestinationInput: document.getElementById("decodeDestinationInput"),
+  decodeCalldataBtn: document.getElementById("decodeCalldataBtn"),
+
+  importFileInput: document.getElementById("importFileInput"),
+  importTextInput: document.getElementById("importTextInput"),
+  validateImportBtn: document.getElementById("validateImportBtn"),
+  broadcastImportBtn: document.getElementById("broadcastImportBtn"),
+  relayImportBtn: document.getElementById("relayImportBtn"),
   chainWarning: document.getElementById("chainWarning"),
+  chainSelect: document.getElementById("chainSelect"),
 
   controllerInput: document.getElementById("controllerInput"),
   cadmosInput: document.getElementById("cadmosInput"),
@@ -79,11 +135,19 @@ const els = {
 
   walletInput: document.getElementById("walletInput"),
   signatoryInput: document.getElementById("signatoryInput"),
+  destinationInput: document.getElementById("destinationInput"),
+  destinationConfirmInput: document.getElementById("destinationConfirmInput"),
   deadlineInput: document.getElementById("deadlineInput"),
   modeInput: document.getElementById("modeInput"),
   continueOnFailureInput: document.getElementById("continueOnFailureInput"),
+  executionModeInput: document.getElementById("executionModeInput"),
   includeRedeemFallbackInput: document.getElementById("includeRedeemFallbackInput"),
   extraTokensInput: document.getElementById("extraTokensInput"),
+  discoverTokensInput: document.getElementById("discoverTokensInput"),
+  nftsInput: document.getElementById("nftsInput"),
+  discoverNftsInput: document.getElementById("discoverNftsInput"),
+  discoveryFromBlockInput: document.getElementById("discoveryFromBlockInput"),
+  revokeAllowancesInput: document.getElementById("revokeAllowancesInput"),
 
   manualSection: document.getElementById("manualSection"),
   cadmosManualAmountInput: document.getElementById("cadmosManualAmountInput"),
@@ -91,9 +155,12 @@ const els = {
   confirmReviewInput: document.getElementById("confirmReviewInput"),
 
   scanBtn: document.getElementById("scanBtn"),
+  cancelDiscoveryBtn: document.getElementById("cancelDiscoveryBtn"),
+  dropFailuresBtn: document.getElementById("dropFailuresBtn"),
   recoverBtn: document.getElementById("recoverBtn"),
   copyJsonBtn: document.getElementById("copyJsonBtn"),
   downloadJsonBtn: document.getElementById("downloadJsonBtn"),
+  copyShareLinkBtn: document.getElementById("copyShareLinkBtn"),
   copyCalldataBtn: document.getElementById("copyCalldataBtn"),
 
   output: document.getElementById("output"),
@@ -112,8 +179,15 @@ function setChainWarning(message) {
   els.chainWarning.classList.add("active");
 }
 
+function selectedChainLabel() {
+  const chainId = state.selectedChainId;
+  if (chainId === null) return "a configured network";
+  const raw = CADMOS_PROFILES[String(chainId)];
+  return `${raw?.chainName || `Chain ${chainId}`} (${chainId})`;
+}
+
 function updateChainBadge() {
-  if (state.chainId === DEFAULT_CHAIN_ID && state.profile) {
+  if (state.profile && state.chainId === state.profile.chainId) {
     els.chainBadge.textContent = `Chain: ${state.profile.chainName} (${state.chainId})`;
     return;
   }
@@ -139,10 +213,10 @@ async function enforceExpectedChain(publicClient) {
   state.chainId = liveChainId;
   updateChainBadge();
 
-  if (liveChainId !== DEFAULT_CHAIN_ID) {
-    setChainWarning("Stop: wallet network does not match Arbitrum One (42161). Switch network before proceeding.");
+  if (liveChainId !== state.selectedChainId) {
+    setChainWarning(`Stop: wallet network does not match ${selectedChainLabel()}. Switch network before proceeding.`);
     syncRecoverButtonState();
-    throw new Error("Wrong network. Switch wallet to Arbitrum One (42161).");
+    throw new Error(`Wrong network. Switch wallet to ${selectedChainLabel()}.`);
   }
 
   setChainWarning("");
@@ -176,13 +250,23 @@ function bigintReplacer(_, value) {
 function inputFingerprint() {
   return JSON.stringify({
     wallet: els.walletInput.value.trim(),
+    destination: els.destinationInput.value.trim(),
+    destinationConfirm: els.destinationConfirmInput.value.trim(),
     deadline: els.deadlineInput.value.trim(),
     mode: els.modeInput.value,
+    adapterSweep: els.executionModeInput.value === "sweep",
     continueOnFailure: els.continueOnFailureInput.checked,
     includeRedeemFallback: els.includeRedeemFallbackInput.checked,
     extraTokens: els.extraTokensInput.value,
+    discoverTokens: els.discoverTokensInput.checked,
+    nfts: els.nftsInput.value,
+    discoverNfts: els.discoverNftsInput.checked,
+    discoveryFromBlock: els.discoveryFromBlockInput.value.trim(),
+    revokeAllowances: els.revokeAllowancesInput.checked,
     cadmosManualAmount: els.cadmosManualAmountInput.value.trim(),
     tokenOverrides: els.tokenOverridesInput.value,
+    droppedSteps: [...state.droppedSteps].sort(),
+    vaultChoices: [...state.vaultChoices].sort(),
     chainId: state.chainId,
     profileController: state.profile?.controller ?? "",
     profileCadmosToken: state.profile?.cadmosToken ?? "",
@@ -200,6 +284,33 @@ function parseAddress(label, value) {
   return normalized;
 }
 
+async function resolveDestination(publicClient, signatory) {
+  const raw = els.destinationInput.value.trim();
+  if (!raw) {
+    return { destination: signatory, warnings: [] };
+  }
+
+  const destination = parseAddress("Destination", raw);
+  const confirmRaw = els.destinationConfirmInput.value.trim();
+  if (!confirmRaw || confirmRaw.toLowerCase() !== destination.toLowerCase()) {
+    throw new Error("Destination confirmation does not match. Re-type the full destination address to continue.");
+  }
+
+  const warnings = [];
+  if (destination !== signatory) {
+    warnings.push(`Destination ${destination} is NOT the connected signatory ${signatory}.`);
+  }
+
+  const code = await safeRead(() => publicClient.getCode({ address: destination }), undefined);
+  if (code && code !== "0x") {
+    warnings.push(
+      `Destination ${destination} is a contract. Make sure it can receive these tokens (exchange deposit contracts and multisigs only).`
+    );
+  }
+
+  return { destination, warnings };
+}
+
 function parseTokenList(raw) {
   const split = raw
     .split(/[\n,\s]+/)
@@ -225,7 +336,37 @@ function parseTokenList(raw) {
   return deduped;
 }
 
-function parseOverrides(raw) {
+/**
+ * Parses `collection,tokenId` lines. The standard (ERC-721 or ERC-1155) is detected on-chain later.
+ */
+function parseNftList(raw) {
+  const lines = raw
+    .split(/\n+/)
+    .map((line) => line.trim())
+    .filter(Boolean);
+
+  const nfts = new Map();
+  for (const line of lines) {
+    const [collectionRaw, tokenIdRaw] = line.split(/[\s,:#]+/).filter(Boolean);
+    if (!collectionRaw || !tokenIdRaw || !isAddress(collectionRaw) || !/^\d+$/.test(tokenIdRaw)) {
+      throw new Error(`Invalid NFT line: ${line} (expected collection,tokenId)`);
+    }
+    const collection = getAddress(collectionRaw);
+    const tokenId = BigInt(tokenIdRaw);
+    nfts.set(nftKey(collection, tokenId), { collection, tokenId });
+  }
+  return [...nfts.values()];
+}
+
+function nftKey(collection, tokenId) {
+  return `${collection.toLowerCase()}:${tokenId}`;
+}
+
+/**
+ * Parses `token,amount` lines. `token` is an address or a profile token symbol; `amount` is kept as text
+ * because decimal amounts (`150.5`) can only be converted once the token's decimals are known.
+ */
+function parseOverrides(raw, knownTokens) {
   const lines = raw
     .split(/\n+/)
     .map((line) => line.trim())
@@ -234,29 +375,32 @@ function parseOverrides(raw) {
   const map = new Map();
 
   for (const line of lines) {
-    const [addrRaw, amountRaw] = line.split(/[\s,]+/).filter(Boolean);
-    if (!addrRaw || !amountRaw) {
+    const [tokenRaw, amountRaw] = line.split(/[\s,]+/).filter(Boolean);
+    if (!tokenRaw || !amountRaw) {
       throw new Error(`Invalid manual override line: ${line}`);
     }
-    if (!isAddress(addrRaw)) {
-      throw new Error(`Invalid manual override token: ${addrRaw}`);
+
+    let token;
+    if (isAddress(tokenRaw)) {
+      token = getAddress(tokenRaw);
+    } else {
+      const known = knownTokens.find((t) => t.symbol.toLowerCase() === tokenRaw.toLowerCase());
+      if (!known) {
+        throw new Error(`Invalid manual override token: ${tokenRaw} (use an address or a profile token symbol)`);
+      }
+      token = known.address;
     }
-    const token = getAddress(addrRaw);
     if (token === ZERO_ADDRESS) continue;
-    const amount = BigInt(amountRaw);
-    if (amount < 0n) {
-      throw new Error(`Invalid manual override amount for ${token}`);
+
+    if (!/^\d+(\.\d+)?$/.test(amountRaw)) {
+      throw new Error(`Invalid manual override amount for ${tokenRaw}: ${amountRaw}`);
     }
-    map.set(token, amount);
+    map.set(token, amountRaw);
   }
 
   return map;
 }
 
-function min(a, b) {
-  return a < b ? a : b;
-}
-
 function requireProvider() {
   if (!window.ethereum) {
     throw new Error("No EVM wallet found. Install MetaMask or Rabby.");
@@ -266,20 +410,13 @@ function requireProvider() {
 function clients() {
   requireProvider();
   const transport = custom(window.ethereum);
+  const chain = state.profile?.chain;
   return {
-    publicClient: createPublicClient({ transport, chain: ARBITRUM_CHAIN }),
-    walletClient: createWalletClient({ transport, chain: ARBITRUM_CHAIN }),
+    publicClient: createPublicClient({ transport, chain }),
+    walletClient: createWalletClient({ transport, chain }),
   };
 }
 
-async function safeRead(fn, fallback) {
-  try {
-    return await fn();
-  } catch {
-    return fallback;
-  }
-}
-
 function resolveProfile(chainId) {
   const profile = CADMOS_PROFILES[String(chainId)];
   if (!profile) {
@@ -293,18 +430,144 @@ function resolveProfile(chainId) {
   const controller = parseAddress("Profile controller", profile.controller);
   const cadmosToken = parseAddress("Profile Cadmos token", profile.cadmosToken);
 
+  const walletCodeHashes = (profile.walletCodeHashes ?? []).map((hash) => {
+    if (typeof hash !== "string" || !/^0x[0-9a-fA-F]{64}$/.test(hash)) {
+      throw new Error(`Profile for chain ${chainId} has an invalid walletCodeHashes entry: ${hash}`);
+    }
+    return hash.toLowerCase();
+  });
+
   const knownTokens = (profile.knownTokens ?? [])
     .filter((t) => t && isAddress(t.address) && getAddress(t.address) !== ZERO_ADDRESS)
-    .map((t) => ({ symbol: t.symbol || "TOKEN", address: getAddress(t.address) }));
+    .map((t) => ({
+      symbol: t.symbol || "TOKEN",
+      address: getAddress(t.address),
+      // true/false marks an ERC-4626 vault (or not) explicitly; omitted means probe on-chain.
+      vault: typeof t.vault === "boolean" ? t.vault : undefined,
+    }));
+
+  const chainName = profile.chainName || `Chain ${chainId}`;
+  const rpcUrls = (profile.rpcUrls ?? []).filter((url) => typeof url === "string" && url.length > 0);
+  const nativeCurrency = profile.nativeCurrency ?? DEFAULT_NATIVE_CURRENCY;
+  const blockExplorer = profile.blockExplorer?.url ? profile.blockExplorer : null;
 
   return {
-    chainName: profile.chainName || `Chain ${chainId}`,
+    chainId: Number(chainId),
+    chainName,
+    rpcUrls,
+    nativeCurrency,
+    blockExplorer,
+    chain: {
+      id: Number(chainId),
+      name: chainName,
+      nativeCurrency,
+      rpcUrls: {
+        default: { http: rpcUrls },
+        public: { http: rpcUrls },
+      },
+      blockExplorers: blockExplorer
+        ? { default: { name: blockExplorer.name || "Explorer", url: blockExplorer.url } }
+        : undefined,
+    },
     controller,
     cadmosToken,
     knownTokens,
+    walletCodeHashes,
+    walletFactory: resolveWalletFactory(chainId, profile.walletFactory),
+    signatoryView: typeof profile.signatoryView === "string" && profile.signatoryView ? profile.signatoryView : undefined,
+    discoveryFromBlock: profile.discoveryFromBlock !== undefined ? BigInt(profile.discoveryFromBlock) : 0n,
+    logChunkSize: profile.logChunkSize !== undefined ? BigInt(profile.logChunkSize) : DEFAULT_LOG_CHUNK_SIZE,
+    relayUrl: typeof profile.relayUrl === "string" && profile.relayUrl ? profile.relayUrl : DEFAULT_RELAY_URL,
+    multicall3:
+      profile.multicall3 === null
+        ? null
+        : parseAddress("Profile multicall3", profile.multicall3 ?? DEFAULT_MULTICALL3_ADDRESS),
+  };
+}
+
+// The profile's `walletFactory` with its events parsed, or null when the Smart Account lookup is off.
+function resolveWalletFactory(chainId, factory) {
+  if (!factory?.address) return null;
+
+  const events = {};
+  for (const [key, required] of [
+    ["createdEvent", ["wallet", "signatory"]],
+    ["signatoryAddedEvent", ["signatory"]],
+  ]) {
+    let event = null;
+    try {
+      event = parseAbiItem(factory[key]);
+    } catch {
+      // Reported below with what the event needs.
+    }
+    const inputs = new Map((event?.inputs ?? []).map((input) => [input.name, input]));
+    if (event?.type !== "event" || required.some((name) => !inputs.has(name)) || !inputs.get("signatory").indexed) {
+      throw new Error(
+        `Profile for chain ${chainId}: walletFactory.${key} must be an event with ${required.join(" and ")} arguments, signatory indexed.`
+      );
+    }
+    events[key] = event;
+  }
+
+  return {
+    address: parseAddress("Profile walletFactory", factory.address),
+    fromBlock: BigInt(factory.fromBlock ?? 0),
+    ...events,
   };
 }
 
+function populateChainSelect() {
+  const chainIds = Object.keys(CADMOS_PROFILES)
+    .map((key) => parseChainIdValue(key))
+    .filter((chainId) => chainId !== null);
+
+  els.chainSelect.innerHTML = "";
+  for (const chainId of chainIds) {
+    const option = document.createElement("option");
+    option.value = String(chainId);
+    option.textContent = `${CADMOS_PROFILES[String(chainId)].chainName || `Chain ${chainId}`} (${chainId})`;
+    els.chainSelect.appendChild(option);
+  }
+
+  if (state.selectedChainId === null || !chainIds.includes(state.selectedChainId)) {
+    state.selectedChainId = chainIds.length ? chainIds[0] : null;
+  }
+  if (state.selectedChainId !== null) {
+    els.chainSelect.value = String(state.selectedChainId);
+  }
+}
+
+async function switchWalletChain(chainId) {
+  const chainHex = `0x${chainId.toString(16)}`;
+  try {
+    await window.ethereum.request({
+      method: "wallet_switchEthereumChain",
+      params: [{ chainId: chainHex }],
+    });
+  } catch (error) {
+    // 4902: the wallet does not know this chain yet, so offer to add it from the profile.
+    if (error?.code !== 4902 && error?.data?.originalError?.code !== 4902) {
+      throw error;
+    }
+    const profile = resolveProfile(chainId);
+    if (profile.rpcUrls.length === 0) {
+      throw new Error(`Profile for chain ${chainId} has no rpcUrls; add the network to your wallet manually.`);
+    }
+    await window.ethereum.request({
+      method: "wallet_addEthereumChain",
+      params: [
+        {
+          chainId: chainHex,
+          chainName: profile.chainName,
+          nativeCurrency: profile.nativeCurrency,
+          rpcUrls: profile.rpcUrls,
+          blockExplorerUrls: profile.blockExplorer ? [profile.blockExplorer.url] : undefined,
+        },
+      ],
+    });
+  }
+}
+
 function applyProfileToUI() {
   if (!state.profile) {
     els.controllerInput.value = "";
@@ -319,17 +582,30 @@ function applyProfileToUI() {
   els.knownTokensView.value = state.profile.knownTokens.length
     ? state.profile.knownTokens.map((t) => `${t.symbol}: ${t.address}`).join("\n")
     : "No known tokens configured";
-  els.profileBadge.textContent = `Profile: ${state.profile.chainName}`;
+  const unverified = [
+    state.profile.walletCodeHashes.length === 0 ? "Smart Account code" : null,
+    state.profile.signatoryView ? null : "signatory",
+  ].filter(Boolean);
+  els.profileBadge.textContent =
+    `Profile: ${state.profile.chainName}` + (unverified.length ? ` (${unverified.join(" and ")} NOT verified)` : "");
 }
 
 function persistInputs() {
   const payload = {
+    chainId: state.selectedChainId,
     wallet: els.walletInput.value,
+    destination: els.destinationInput.value,
     deadline: els.deadlineInput.value,
     mode: els.modeInput.value,
     continueOnFailure: els.continueOnFailureInput.checked,
+    executionMode: els.executionModeInput.value,
     includeRedeemFallback: els.includeRedeemFallbackInput.checked,
     extraTokens: els.extraTokensInput.value,
+    discoverTokens: els.discoverTokensInput.checked,
+    nfts: els.nftsInput.value,
+    discoverNfts: els.discoverNftsInput.checked,
+    discoveryFromBlock: els.discoveryFromBlockInput.value,
+    revokeAllowances: els.revokeAllowancesInput.checked,
     cadmosManualAmount: els.cadmosManualAmountInput.value,
     tokenOverrides: els.tokenOverridesInput.value,
   };
@@ -342,12 +618,20 @@ function restoreInputs() {
 
   try {
     const v = JSON.parse(raw);
+    if (typeof v.chainId === "number") state.selectedChainId = v.chainId;
     if (typeof v.wallet === "string") els.walletInput.value = v.wallet;
+    if (typeof v.destination === "string") els.destinationInput.value = v.destination;
     if (typeof v.deadline === "string") els.deadlineInput.value = v.deadline;
     if (typeof v.mode === "string") els.modeInput.value = v.mode;
     if (typeof v.continueOnFailure === "boolean") els.continueOnFailureInput.checked = v.continueOnFailure;
+    if (typeof v.executionMode === "string") els.executionModeInput.value = v.executionMode;
     if (typeof v.includeRedeemFallback === "boolean") els.includeRedeemFallbackInput.checked = v.includeRedeemFallback;
     if (typeof v.extraTokens === "string") els.extraTokensInput.value = v.extraTokens;
+    if (typeof v.discoverTokens === "boolean") els.discoverTokensInput.checked = v.discoverTokens;
+    if (typeof v.nfts === "string") els.nftsInput.value = v.nfts;
+    if (typeof v.discoverNfts === "boolean") els.discoverNftsInput.checked = v.discoverNfts;
+    if (typeof v.discoveryFromBlock === "string") els.discoveryFromBlockInput.value = v.discoveryFromBlock;
+    if (typeof v.revokeAllowances === "boolean") els.revokeAllowancesInput.checked = v.revokeAllowances;
     if (typeof v.cadmosManualAmount === "string") els.cadmosManualAmountInput.value = v.cadmosManualAmount;
     if (typeof v.tokenOverrides === "string") els.tokenOverridesInput.value = v.tokenOverrides;
   } catch {
@@ -368,31 +652,34 @@ async function connectWallet() {
   requireProvider();
   const { publicClient, walletClient } = clients();
 
+  if (state.selectedChainId === null) {
+    throw new Error("No networks configured. Add a profile in profiles.js");
+  }
+
   const [account] = await walletClient.requestAddresses();
   let chainId = await publicClient.getChainId();
 
-  if (chainId !== DEFAULT_CHAIN_ID) {
+  if (chainId !== state.selectedChainId) {
     try {
-      await window.ethereum.request({
-        method: "wallet_switchEthereumChain",
-        params: [{ chainId: DEFAULT_CHAIN_HEX }],
-      });
+      await switchWalletChain(state.selectedChainId);
     } catch {
-      setChainWarning("Stop: switch wallet network to Arbitrum One (42161) before proceeding.");
-      throw new Error("Please switch your wallet network to Arbitrum One (42161) and reconnect.");
+      setChainWarning(`Stop: switch wallet network to ${selectedChainLabel()} before proceeding.`);
+      throw new Error(`Please switch your wallet network to ${selectedChainLabel()} and reconnect.`);
     }
     chainId = await publicClient.getChainId();
   }
 
-  if (chainId !== DEFAULT_CHAIN_ID) {
-    setChainWarning("Stop: wallet network does not match Arbitrum One (42161).");
-    throw new Error("Wrong network. Use Arbitrum One (42161).");
+  if (chainId !== state.selectedChainId) {
+    setChainWarning(`Stop: wallet network does not match ${selectedChainLabel()}.`);
+    throw new Error(`Wrong network. Use ${selectedChainLabel()}.`);
   }
 
   state.account = getAddress(account);
   state.chainId = chainId;
   state.profile = resolveProfile(chainId);
+  state.droppedSteps.clear();
   clearGeneratedState();
+  renderWalletCandidates([]);
 
   els.signatoryInput.value = state.account;
   els.walletBadge.textContent = `Connected: ${state.account.slice(0, 6)}...${state.account.slice(-4)}`;
@@ -407,12 +694,318 @@ async function connectWallet() {
   );
 }
 
-async function buildUnsignedPlan() {
+/**
+ * Scans logs sent to `wallet`: ERC-20 `Transfer` for tokens, and ERC-721 `Transfer` (tokenId indexed, so
+ * four topics) plus ERC-1155 `TransferSingle`/`TransferBatch` for NFTs. With `allowances`, also ERC-20
+ * `Approval` logs emitted by `wallet` as owner, for token+spender pairs. Ownership and allowances are
+ * checked later, so items sent away again and approvals already revoked are harmless here.
+ * Pages through the range in `profile.logChunkSize` windows and halves the window whenever the RPC
+ * rejects a request, so public endpoints with log limits still work.
+ */
+async function discoverTokens(
+  publicClient,
+  wallet,
+  { tokens: wantTokens = true, nfts: wantNfts = false, allowances: wantAllowances = false } = {}
+) {
+  const raw = els.discoveryFromBlockInput.value.trim();
+  const fromBlock = raw ? BigInt(raw) : state.profile.discoveryFromBlock;
+  if (fromBlock < 0n) {
+    throw new Error("Discovery start block cannot be negative.");
+  }
+
+  const cacheKey = `${state.chainId}:${wallet}:${fromBlock}:${wantTokens}:${wantNfts}:${wantAllowances}`;
+  if (state.discovery?.key === cacheKey) {
+    return state.discovery;
+  }
+
+  const toBlock = await publicClient.getBlockNumber();
+  const found = new Set();
+  const foundNfts = new Map();
+  const foundAllowances = new Map();
+  const addNft = (collection, tokenId) => {
+    const address = getAddress(collection);
+    foundNfts.set(nftKey(address, tokenId), { collection: address, tokenId });
+  };
+  let chunkSize = state.profile.logChunkSize;
+  let cursor = fromBlock;
+  let cancelled = false;
+
+  state.discoveryCancelled = false;
+  els.cancelDiscoveryBtn.disabled = false;
+
+  try {
+    while (cursor <= toBlock) {
+      if (state.discoveryCancelled) {
+        cancelled = true;
+        break;
+      }
+
+      const end = cursor + chunkSize - 1n > toBlock ? toBlock : cursor + chunkSize - 1n;
+      const percent = toBlock > fromBlock ? Number(((cursor - fromBlock) * 100n) / (toBlock - fromBlock)) : 100;
+      setOutput(
+        `Discovering tokens: blocks ${cursor}-${end} of ${toBlock} (${percent}%)\n` +
+          `Contracts found so far: ${found.size}` +
+          (wantNfts ? `, NFTs: ${foundNfts.size}` : "") +
+          (wantAllowances ? `, approvals: ${foundAllowances.size}` : "") +
+          "\n" +
+          "Click \"Cancel discovery\" to stop and continue with what was found."
+      );
+
+      const range = { args: { to: wallet }, fromBlock: cursor, toBlock: end, strict: false };
+      let logs = [];
+      let singles = [];
+      let batches = [];
+      let approvals = [];
+      try {
+        // ERC-20 and ERC-721 share the `Transfer` signature; an allowance-only scan needs neither.
+        if (wantTokens || wantNfts) {
+          logs = await publicClient.getLogs({ event: transferEvent, ...range });
+        }
+        if (wantNfts) {
+          singles = await publicClient.getLogs({ event: transferSingleEvent, ...range });
+          batches = await publicClient.getLogs({ event: transferBatchEvent, ...range });
+        }
+        if (wantAllowances) {
+          approvals = await publicClient.getLogs({ event: approvalEvent, ...range, args: { owner: wallet } });
+        }
+      } catch (error) {
+        if (chunkSize <= 1n) throw error;
+        chunkSize /= 2n;
+        continue;
+      }
+
+      for (const log of logs) {
+        if (log.topics.length === 4) {
+          if (wantNfts) addNft(log.address, BigInt(log.topics[3]));
+        } else if (wantTokens) {
+          found.add(getAddress(log.address));
+        }
+      }
+      for (const log of singles) {
+        if (log.args.id !== undefined) addNft(log.address, log.args.id);
+      }
+      for (const log of batches) {
+        for (const id of log.args.ids ?? []) addNft(log.address, id);
+      }
+      for (const log of approvals) {
+        if (log.topics.length !== 3 || !log.args.spender) continue;
+        const token = getAddress(log.address);
+        const spender = getAddress(log.args.spender);
+        foundAllowances.set(`${token}:${spender}`, { token, spender });
+      }
+      cursor = end + 1n;
+    }
+  } finally {
+    els.cancelDiscoveryBtn.disabled = true;
+  }
+
+  const result = {
+    key: cacheKey,
+    tokens: [...found],
+    nfts: [...foundNfts.values()],
+    allowances: [...foundAllowances.values()],
+    fromBlock,
+    scannedTo: cancelled ? cursor - 1n : toBlock,
+    cancelled,
+  };
+
+  // Only cache complete scans so a cancelled scan is retried on the next build.
+  state.discovery = cancelled ? null : result;
+  return result;
+}
+
+/**
+ * Finds Smart Accounts the connected signatory controls, for users who do not know the address: the
+ * profile factory's creation events naming the signatory, plus signatory-added events from any contract.
+ * Logs only nominate candidates. Each one then gets the same checks as a plan build (`checkWalletSetup`),
+ * so removed signatories and look-alike contracts are shown as unusable rather than hidden, and
+ * candidates those checks could not confirm are labelled unverified.
+ */
+async function findSmartAccounts() {
   if (!state.account) throw new Error("Connect signatory wallet first.");
 
   const { publicClient } = clients();
   await enforceExpectedChain(publicClient);
-  if (!state.profile) {
+  const profile = state.profile;
+  const factory = profile?.walletFactory;
+  if (!factory) {
+    throw new Error(
+      `The ${profile?.chainName ?? "selected"} profile has no walletFactory, so Smart Accounts cannot be looked up. ` +
+        "Copy the address from a block explorer or an earlier Cadmos transaction instead."
+    );
+  }
+
+  const signatory = state.account;
+  const toBlock = await publicClient.getBlockNumber();
+  const candidates = new Map();
+  const addCandidate = (wallet, via) => {
+    const address = getAddress(wallet);
+    candidates.set(address, (candidates.get(address) ?? new Set()).add(via));
+  };
+  let chunkSize = profile.logChunkSize;
+  let cursor = factory.fromBlock;
+  let cancelled = false;
+
+  state.discoveryCancelled = false;
+  els.cancelDiscoveryBtn.disabled = false;
+  renderWalletCandidates([]);
+
+  try {
+    while (cursor <= toBlock) {
+      if (state.discoveryCancelled) {
+        cancelled = true;
+        break;
+      }
+
+      const end = cursor + chunkSize - 1n > toBlock ? toBlock : cursor + chunkSize - 1n;
+      setOutput(
+        `Looking for Smart Accounts of ${signatory}: blocks ${cursor}-${end} of ${toBlock}\n` +
+          `Candidates so far: ${candidates.size}\n` +
+          "Signatory-added events are read from every contract on the chain, so each range can take a while.\n" +
+          "Click \"Cancel discovery\" to stop and check what was found."
+      );
+
+      const range = { args: { signatory }, fromBlock: cursor, toBlock: end, strict: false };
+      let created;
+      let added;
+      try {
+        created = await publicClient.getLogs({ address: factory.address, event: factory.createdEvent, ...range });
+        added = await publicClient.getLogs({ event: factory.signatoryAddedEvent, ...range });
+      } catch (error) {
+        if (chunkSize <= 1n) throw error;
+        chunkSize /= 2n;
+        continue;
+      }
+
+      for (const log of created) {
+        if (log.args.wallet) addCandidate(log.args.wallet, "factory");
+      }
+      for (const log of added) {
+        addCandidate(log.address, "signatory added");
+      }
+      cursor = end + 1n;
+    }
+  } finally {
+    els.cancelDiscoveryBtn.disabled = true;
+  }
+
+  const rows = [];
+  for (const [wallet, via] of candidates) {
+    setOutput(`Checking candidate ${rows.length + 1}/${candidates.size}: ${wallet}`);
+    const setup = await checkWalletSetup(publicClient, {
+      chainId: state.chainId,
+      wallet,
+      signatory,
+      controller: profile.controller,
+      codeHashes: profile.walletCodeHashes,
+      signatoryView: profile.signatoryView,
+    });
+    rows.push({
+      wallet,
+      via: [...via].join(", "),
+      problems: setup.problems,
+      warnings: setup.warnings,
+      balances: await summarizeWalletBalances(publicClient, wallet),
+    });
+  }
+  rows.sort((a, b) => a.problems.length - b.problems.length || a.warnings.length - b.warnings.length);
+  renderWalletCandidates(rows);
+
+  const scanned = `blocks ${factory.fromBlock}-${cancelled ? cursor - 1n : toBlock}${cancelled ? " (cancelled before latest block)" : ""}`;
+  const usable = rows.filter((row) => row.problems.length === 0);
+  const unverified = usable.filter((row) => row.warnings.length > 0).length;
+  setOutput(
+    rows.length === 0
+      ? `No Smart Account found for ${signatory} (${scanned}). Check the network, or enter the address by hand.`
+      : `Found ${rows.length} candidate(s) for ${signatory} (${scanned}), ${usable.length} usable` +
+          (unverified > 0 ? `, ${unverified} of them UNVERIFIED (compare with the address your Cadmos app shows)` : "") +
+          '. Click "Use" to fill the Smart Account field.'
+  );
+}
+
+// Nonce plus non-zero holdings in the profile's tokens and native currency, as one line.
+async function summarizeWalletBalances(publicClient, wallet) {
+  const tokens = [{ address: state.profile.cadmosToken, symbol: "CADMOS" }, ...state.profile.knownTokens];
+  const reads = await batchRead(publicClient, state.profile.multicall3, [
+    { address: wallet, abi: walletAbi, functionName: "nonce", fallback: null },
+    ...tokens.flatMap(({ address }) => [
+      { address, abi: erc20Abi, functionName: "balanceOf", args: [wallet], fallback: 0n },
+      { address, abi: erc20Abi, functionName: "symbol", fallback: null },
+      { address, abi: erc20Abi, functionName: "decimals", fallback: null },
+    ]),
+  ]);
+  const nativeBalance = await safeRead(() => publicClient.getBalance({ address: wallet }), null);
+
+  const parts = [`nonce ${reads[0] ?? "unreadable"}`];
+  tokens.forEach((token, i) => {
+    const [balance, symbol, decimals] = reads.slice(1 + i * 3, 4 + i * 3);
+    if (balance > 0n) parts.push(formatAmount(balance, decimals, symbol || token.symbol));
+  });
+  if (nativeBalance) parts.push(formatNativeBalance(nativeBalance));
+  return parts.join(", ");
+}
+
+function renderWalletCandidates(rows) {
+  els.walletCandidatesBody.innerHTML = "";
+  if (rows.length === 0) {
+    els.walletCandidatesTable.classList.remove("active");
+    return;
+  }
+
+  for (const { wallet, via, problems, warnings, balances } of rows) {
+    const row = document.createElement("tr");
+    if (problems.length > 0) row.classList.add("predicted-failure");
+    else if (warnings.length > 0) row.classList.add("unverified");
+    const status =
+      problems.length > 0
+        ? problems.join(" ")
+        : warnings.length > 0
+          ? `UNVERIFIED: ${warnings.join(" ")}`
+          : "signatory authorized";
+    for (const value of [wallet, via, status, balances]) {
+      const cell = document.createElement("td");
+      cell.textContent = value;
+      row.appendChild(cell);
+    }
+
+    const button = document.createElement("button");
+    button.className = "btn";
+    button.textContent = "Use";
+    button.disabled = problems.length > 0;
+    button.addEventListener("click", () => {
+      els.walletInput.value = wallet;
+      // Same path as typing it: resets dropped steps, refreshes the resume panel and persists the field.
+      els.walletInput.dispatchEvent(new Event("change"));
+    });
+    const cell = document.createElement("td");
+    cell.appendChild(button);
+    row.appendChild(cell);
+    els.walletCandidatesBody.appendChild(row);
+  }
+  els.walletCandidatesTable.classList.add("active");
+}
+
+// NFT steps share a collection and selector, so their token id (the third argument in both standards)
+// is part of the key. Revocations on one token differ only by spender (the first argument).
+function stepKey(call) {
+  const selector = call.data.slice(0, 10).toLowerCase();
+  const key = `${call.target.toLowerCase()}:${selector}`;
+  if (selector === SELECTOR_APPROVE) return `${key}:0x${call.data.slice(34, 74).toLowerCase()}`;
+  if (selector !== SELECTOR_ERC721_SAFE_TRANSFER && selector !== SELECTOR_ERC1155_SAFE_TRANSFER) return key;
+  return `${key}:${BigInt(`0x${call.data.slice(138, 202) || "0"}`)}`;
+}
+
+/**
+ * Reads live state and builds the plan for the current inputs. `stepByStep` plans for
+ * `recoverStepByStep`, which signs each step just before sending it; anything else signs every step up
+ * front and runs them in one transaction.
+ */
+async function buildUnsignedPlan({ stepByStep = false } = {}) {
+  if (!state.account) throw new Error("Connect signatory wallet first.");
+
+  const { publicClient } = clients();
+  await enforceExpectedChain(publicClient);
+  if (!state.profile || state.profile.chainId !== state.chainId) {
     state.profile = resolveProfile(state.chainId);
     applyProfileToUI();
   }
@@ -420,22 +1013,37 @@ async function buildUnsignedPlan() {
 
   const wallet = parseAddress("Cadmos wallet", els.walletInput.value.trim());
   const signatory = parseAddress("Signatory", els.signatoryInput.value.trim());
-  const destination = signatory;
+  const { destination, warnings: destinationWarnings } = await resolveDestination(publicClient, signatory);
 
   const deadlineSeconds = BigInt(els.deadlineInput.value || "3600");
   if (deadlineSeconds < 120n) {
     throw new Error("Deadline must be at least 120 seconds.");
   }
 
+  // Every signature would be wasted on the wrong wallet, an unauthorized signatory or another domain.
+  setOutput("Checking the Smart Account, signatory and signing domain...");
+  const setup = await checkWalletSetup(publicClient, {
+    chainId: state.chainId,
+    wallet,
+    signatory,
+    controller: state.profile.controller,
+    codeHashes: state.profile.walletCodeHashes,
+    signatoryView: state.profile.signatoryView,
+  });
+  if (setup.problems.length > 0) {
+    throw new Error(`Nothing was signed. Fix this first:\n- ${setup.problems.join("\n- ")}`);
+  }
+
   const mode = els.modeInput.value;
+  const adapterSweep = els.executionModeInput.value === "sweep";
   const includeRedeemFallback = els.includeRedeemFallbackInput.checked;
 
   const manualCadmosAmount = BigInt(els.cadmosManualAmountInput.value || "0");
-  const manualOverrides = parseOverrides(els.tokenOverridesInput.value);
+  const manualOverrides = parseOverrides(els.tokenOverridesInput.value, state.profile.knownTokens);
 
   const tokenSet = new Map();
   for (const t of state.profile.knownTokens) {
-    tokenSet.set(t.address, t.symbol);
+    tokenSet.set(t.address, "PROFILE");
   }
 
   for (const t of parseTokenList(els.extraTokensInput.value)) {
@@ -446,265 +1054,432 @@ async function buildUnsignedPlan() {
     if (!tokenSet.has(token)) tokenSet.set(token, "MANUAL");
   }
 
-  const currentNonce = await publicClient.readContract({
-    address: wallet,
-    abi: walletAbi,
-    functionName: "nonce",
-  });
-
-  const deadline = BigInt(Math.floor(Date.now() / 1000)) + deadlineSeconds;
+  const nftSet = new Map();
+  for (const nft of parseNftList(els.nftsInput.value)) {
+    nftSet.set(nftKey(nft.collection, nft.tokenId), { ...nft, source: "MANUAL" });
+  }
 
-  const calls = [];
-  const notes = [];
-
-  const maxWithdraw = await safeRead(
-    () =>
-      publicClient.readContract({
-        address: state.profile.cadmosToken,
-        abi: cadmosAbi,
-        functionName: "maxWithdraw",
-        args: [wallet],
-      }),
-    0n
-  );
+  const notes = setup.warnings.map((warning) => `WARNING: ${warning}`);
+  const revokeAllowances = els.revokeAllowancesInput.checked;
+  const allowanceSet = new Map();
 
-  const withdrawAssets =
-    mode === "manual" && manualCadmosAmount > 0n
-      ? (maxWithdraw > 0n ? min(manualCadmosAmount, maxWithdraw) : manualCadmosAmount)
-      : maxWithdraw;
-
-  if (withdrawAssets > 0n) {
-    calls.push({
-      target: state.profile.cadmosToken,
-      data: encodeFunctionData({
-        abi: cadmosAbi,
-        functionName: "withdraw",
-        args: [withdrawAssets, destination, wallet],
-      }),
-      deadline,
-      note: `cadmos.withdraw assets=${withdrawAssets}`,
+  if (els.discoverTokensInput.checked || els.discoverNftsInput.checked || revokeAllowances) {
+    const discovery = await discoverTokens(publicClient, wallet, {
+      tokens: els.discoverTokensInput.checked,
+      nfts: els.discoverNftsInput.checked,
+      allowances: revokeAllowances,
     });
-    notes.push(`cadmos.withdraw assets=${withdrawAssets}`);
-  }
-
-  if (mode === "standard" && includeRedeemFallback) {
-    const maxRedeem = await safeRead(
-      () =>
-        publicClient.readContract({
-          address: state.profile.cadmosToken,
-          abi: cadmosAbi,
-          functionName: "maxRedeem",
-          args: [wallet],
-        }),
-      0n
+    for (const token of discovery.tokens) {
+      if (token.toLowerCase() === state.profile.cadmosToken.toLowerCase()) continue;
+      if (!tokenSet.has(token)) tokenSet.set(token, "DISCOVERED");
+    }
+    for (const nft of discovery.nfts) {
+      const key = nftKey(nft.collection, nft.tokenId);
+      if (!nftSet.has(key)) nftSet.set(key, { ...nft, source: "DISCOVERED" });
+    }
+    for (const allowance of discovery.allowances) {
+      allowanceSet.set(`${allowance.token}:${allowance.spender}`, { ...allowance, source: "DISCOVERED" });
+    }
+    notes.push(
+      `discovery blocks=${discovery.fromBlock}-${discovery.scannedTo} contracts=${discovery.tokens.length}` +
+        (els.discoverNftsInput.checked ? ` nfts=${discovery.nfts.length}` : "") +
+        (revokeAllowances ? ` approvals=${discovery.allowances.length}` : "") +
+        (discovery.cancelled ? " (cancelled before latest block)" : "")
     );
+  }
 
-    if (maxRedeem > 0n) {
-      calls.push({
-        target: state.profile.cadmosToken,
-        data: encodeFunctionData({
-          abi: cadmosAbi,
-          functionName: "redeem",
-          args: [maxRedeem, destination, wallet],
-        }),
-        deadline,
-        note: `cadmos.redeem shares=${maxRedeem} (fallback)`,
-      });
-      notes.push(`cadmos.redeem shares=${maxRedeem} fallback`);
+  const deadline = BigInt(Math.floor(Date.now() / 1000)) + deadlineSeconds;
+  const planner = adapterSweep ? planAdapterSweep : planRecoveryCalls;
+  const { nonce: currentNonce, nativeBalance, calls, assets, skipped, sweep } = await planner(publicClient, {
+    controller: state.profile.controller,
+    wallet,
+    destination,
+    cadmosToken: state.profile.cadmosToken,
+    deadline,
+    mode,
+    includeRedeemFallback,
+    signedUpFront: !stepByStep,
+    cadmosAmount: manualCadmosAmount,
+    tokens: [...tokenSet].map(([address, source]) => ({
+      address,
+      source,
+      vault: state.profile.knownTokens.find((t) => t.address === address)?.vault,
+    })),
+    caps: new Map([...manualOverrides].map(([token, amount]) => [token.toLowerCase(), amount])),
+    vaultHandling: state.vaultChoices,
+    nfts: [...nftSet.values()],
+    allowances: revokeAllowances ? [...allowanceSet.values()] : undefined,
+    multicall3: state.profile.multicall3,
+  });
+  notes.push(...skipped);
+
+  // A sweep's steps are fixed by the controller, so none of them can be dropped.
+  const dropped = [];
+  const keptCalls = [];
+  const keptAssets = [];
+  for (let i = 0; i < calls.length; i++) {
+    if (!sweep && state.droppedSteps.has(stepKey(calls[i]))) {
+      dropped.push(calls[i].note);
+      continue;
     }
+    keptCalls.push(calls[i]);
+    keptAssets.push(assets[i]);
+  }
+  for (const note of dropped) {
+    notes.push(`dropped (predicted revert): ${note}`);
   }
 
-  for (const [token, source] of tokenSet.entries()) {
-    const balance = await safeRead(
-      () =>
-        publicClient.readContract({
-          address: token,
-          abi: erc20Abi,
-          functionName: "balanceOf",
-          args: [wallet],
-        }),
-      0n
+  if (keptCalls.length === 0) {
+    throw new Error(
+      "No recoverable non-zero calls found." +
+        (nativeBalance ? ` The wallet still holds ${formatNativeBalance(nativeBalance)}, which no recovery step can move.` : "")
     );
-
-    const override = manualOverrides.get(token);
-    const amount = mode === "manual" && override !== undefined ? min(balance, override) : balance;
-
-    if (amount === 0n) continue;
-
-    calls.push({
-      target: token,
-      data: encodeFunctionData({
-        abi: erc20Abi,
-        functionName: "transfer",
-        args: [destination, amount],
-      }),
-      deadline,
-      note: `token.transfer token=${token} amount=${amount} source=${source}`,
-    });
-    notes.push(`token.transfer token=${token} amount=${amount}`);
   }
 
-  if (calls.length === 0) {
-    throw new Error("No recoverable non-zero calls found.");
-  }
+  // A sweep's adapter call pulls with the approvals before it, so simulating its steps one by one says
+  // nothing; `signPlan` simulates the whole signed transaction instead.
+  const simulations = sweep
+    ? null
+    : await simulateCalls(publicClient, wallet, keptCalls, (i, call) => {
+        setOutput(`Simulating step ${i + 1}/${keptCalls.length}: ${call.note}`);
+      });
 
   return {
     wallet,
     signatory,
     destination,
+    destinationWarnings,
+    setupWarnings: setup.warnings,
     currentNonce,
     deadline,
     mode,
     continueOnFailure: els.continueOnFailureInput.checked,
     controller: state.profile.controller,
     chainId: state.chainId,
-    calls,
+    nativeBalance,
+    calls: keptCalls,
     notes,
+    assets: keptAssets,
+    simulations,
+    sweep,
   };
 }
 
 async function signPlan(plan) {
-  const { walletClient } = clients();
+  const { publicClient, walletClient } = clients();
 
   setOutput(`Signing ${plan.calls.length} message(s). Confirm each signature in wallet...`);
 
-  const signedCalls = [];
-
-  for (let i = 0; i < plan.calls.length; i++) {
-    const requestNonce = plan.currentNonce + BigInt(i);
-    const call = plan.calls[i];
-
-    setOutput(`Signing message ${i + 1}/${plan.calls.length}: ${call.note}`);
-
-    const signature = await walletClient.signTypedData({
-      account: state.account,
-      domain: {
-        name: "Cadmos UserWallet",
-        version: "1",
-        chainId: plan.chainId,
-        verifyingContract: plan.wallet,
-      },
-      types: {
-        Request: [
-          { name: "target", type: "address" },
-          { name: "value", type: "uint256" },
-          { name: "deadline", type: "uint256" },
-          { name: "nonce", type: "uint256" },
-          { name: "data", type: "bytes" },
-        ],
-      },
-      primaryType: "Request",
-      message: {
-        target: call.target,
-        value: 0n,
-        deadline: call.deadline,
-        nonce: requestNonce,
-        data: call.data,
-      },
-    });
-
-    signedCalls.push({
-      target: call.target,
-      signatory: plan.signatory,
-      data: call.data,
-      signature,
-      deadline: call.deadline,
-      nonce: requestNonce,
-      note: call.note,
-    });
-  }
-
-  const callTuples = signedCalls.map((c) => ({
-    target: c.target,
-    signatory: c.signatory,
-    data: c.data,
-    signature: c.signature,
-    deadline: c.deadline,
-  }));
-
-  const executeCalldata = encodeFunctionData({
-    abi: controllerAbi,
-    functionName: "executeSignedCalls",
-    args: [plan.wallet, callTuples, plan.continueOnFailure],
-  });
+  const signedCalls = await signRecoveryCalls(
+    { chainId: plan.chainId, wallet: plan.wallet, signatory: plan.signatory, walletNonce: plan.currentNonce, calls: plan.calls },
+    (typedData) => walletClient.signTypedData({ account: state.account, ...typedData }),
+    (i, call, nonce, digest) => {
+      setOutput(
+        `Signing message ${i + 1}/${plan.calls.length}: ${call.note}\n` +
+          `Nonce: ${nonce}\n` +
+          `EIP-712 digest: ${digest}\n` +
+          "If your wallet shows a message hash, it must match this digest."
+      );
+    }
+  );
 
-  return {
+  const bundle = {
     chainId: plan.chainId,
     controller: plan.controller,
     wallet: plan.wallet,
+    signatory: plan.signatory,
     continueOnFailure: plan.continueOnFailure,
     mode: plan.mode,
     walletNonce: plan.currentNonce,
     destination: plan.destination,
+    destinationWarnings: plan.destinationWarnings,
+    nativeBalance: plan.nativeBalance,
     calls: signedCalls,
-    callTuples,
-    callPlanNotes: plan.notes,
-    executeSignedCallsCalldata: executeCalldata,
+    planNotes: plan.notes,
+    simulations: plan.simulations,
+  };
+  if (plan.sweep) {
+    const sweepBundle = { ...bundle, sweep: plan.sweep };
+    setOutput(`Simulating ${plan.sweep.functionName} with the ${signedCalls.length} signed step(s)...`);
+    return {
+      ...sweepBundle,
+      simulations: executionSimulations(await simulateExecution(publicClient, sweepBundle, state.account), signedCalls.length),
+      executeRecoveryPlanCalldata: encodeExecuteRecoveryPlan(sweepBundle),
+    };
+  }
+  return {
+    ...bundle,
+    executeSignedCallsCalldata: encodeExecuteSignedCalls(plan.wallet, signedCalls, plan.continueOnFailure),
   };
 }
 
-function renderPlanPreview(plan) {
-  els.nonceBadge.textContent = `Smart Account nonce: ${plan.currentNonce.toString()}`;
+// Per-step `{ ok, reason }`, as `simulateCalls` returns them, from one `simulateExecution` of `steps` calls.
+function executionSimulations(simulation, steps) {
+  if (simulation.revert !== null) {
+    return Array.from({ length: steps }, () => ({ ok: false, reason: `${simulation.functionName} reverts: ${simulation.revert}` }));
+  }
+  return simulation.calls.map((call) =>
+    call.success ? { ok: true, reason: "" } : { ok: false, reason: callFailureReason(call.returnData) }
+  );
+}
 
-  const preview = {
-    chainId: plan.chainId,
-    controller: plan.controller,
-    wallet: plan.wallet,
-    destination: plan.destination,
-    continueOnFailure: plan.continueOnFailure,
-    mode: plan.mode,
-    walletNonce: plan.currentNonce.toString(),
-    callCount: plan.calls.length,
-    callPlanNotes: plan.notes,
-  };
+function callFailureReason(returnData) {
+  try {
+    const { errorName, args } = decodeErrorResult({ abi: [], data: returnData });
+    return `${errorName}(${(args ?? []).join(", ")})`;
+  } catch {
+    return returnData === "0x" ? "failed without a reason" : `failed with ${returnData.slice(0, 10)}`;
+  }
+}
 
-  const reviewHeader =
-    `Review before recovering:\n` +
-    `Network: ${plan.chainId}\n` +
-    `Destination: ${plan.destination}\n` +
-    `Steps: ${plan.calls.length}\n\n`;
+// Sweep steps have no result until the signed transaction is simulated as a whole.
+function stepSimulationLabel(plan, i) {
+  return plan.sweep && !plan.simulations ? "simulated as one transaction once signed" : simulationLabel(plan.simulations?.[i]);
+}
 
-  setOutput(reviewHeader + JSON.stringify(preview, bigintReplacer, 2));
+// Amounts a sweep reads on chain at execution have no planned value.
+function formatPlannedAmount(asset) {
+  return asset.amount === null ? "read at execution" : formatAmount(asset.amount, asset.decimals, "");
 }
 
-function renderGenerated(bundle) {
-  const out = {
-    chainId: bundle.chainId,
-    controller: bundle.controller,
-    wallet: bundle.wallet,
-    destination: bundle.destination,
-    continueOnFailure: bundle.continueOnFailure,
-    mode: bundle.mode,
-    walletNonce: bundle.walletNonce.toString(),
-    callPlanNotes: bundle.callPlanNotes,
-    calls: bundle.calls.map((c) => ({
-      target: c.target,
-      signatory: c.signatory,
-      data: c.data,
-      signature: c.signature,
-      deadline: c.deadline.toString(),
-      nonce: c.nonce.toString(),
-      note: c.note,
-    })),
-    executeSignedCallsCalldata: bundle.executeSignedCallsCalldata,
-  };
+function formatNativeBalance(balance) {
+  const currency = state.profile?.nativeCurrency ?? DEFAULT_NATIVE_CURRENCY;
+  return formatAmount(balance, currency.decimals, currency.symbol);
+}
 
-  const reviewHeader =
-    `Signed recovery bundle ready:\n` +
-    `Network: ${bundle.chainId}\n` +
-    `Destination: ${bundle.destination}\n` +
-    `Signed calls: ${bundle.calls.length}\n\n`;
+// README, "Native Balance": no signed request can move it.
+function formatNativeWarning(plan) {
+  if (!plan.nativeBalance) return "";
+  return `WARNING: ${formatNativeBalance(plan.nativeBalance)} (native) stays in the Smart Account and cannot be recovered here.\n`;
+}
 
-  setOutput(reviewHeader + JSON.stringify(out, null, 2));
+function formatWarnings(warnings) {
+  if (!warnings || warnings.length === 0) return "";
+  return warnings.map((w) => `WARNING: ${w}\n`).join("");
+}
+
+function predictedFailures(plan) {
+  return (plan.simulations ?? [])
+    .map((simulation, i) => ({ simulation, call: plan.calls[i] }))
+    .filter(({ simulation }) => !simulation.ok);
+}
+
+function renderAssetTable(plan) {
+  els.planTableBody.innerHTML = "";
+  els.dropFailuresBtn.disabled = !plan || !!plan.sweep || predictedFailures(plan).length === 0;
+  if (!plan || plan.assets.length === 0) {
+    els.planTable.classList.remove("active");
+    return;
+  }
+
+  for (let i = 0; i < plan.assets.length; i++) {
+    const asset = plan.assets[i];
+    const simulation = plan.simulations?.[i];
+    const row = document.createElement("tr");
+    if (simulation && !simulation.ok) row.classList.add("predicted-failure");
+    const cells = [
+      asset.vault ? vaultChoiceSelect(asset) : asset.action,
+      asset.symbol,
+      asset.address,
+      formatPlannedAmount(asset),
+      asset.amount?.toString() ?? "",
+      asset.source,
+      stepSimulationLabel(plan, i),
+    ];
+    for (const value of cells) {
+      const cell = document.createElement("td");
+      if (typeof value === "string") {
+        cell.textContent = value;
+      } else {
+        cell.appendChild(value);
+      }
+      row.appendChild(cell);
+    }
+    els.planTableBody.appendChild(row);
+  }
+  els.planTable.classList.add("active");
+}
+
+// Per-vault switch between "transfer shares" and "redeem to underlying"; changing it rebuilds the plan.
+function vaultChoiceSelect(asset) {
+  const select = document.createElement("select");
+  for (const [value, label] of [
+    ["transfer", "transfer shares"],
+    ["redeem", `redeem to underlying (≈ ${formatVaultPreview(asset.vault)})`],
+  ]) {
+    const option = document.createElement("option");
+    option.value = value;
+    option.textContent = label;
+    option.selected = asset.vault.handling === value;
+    select.appendChild(option);
+  }
+  select.addEventListener(
+    "change",
+    withErrors(async () => {
+      state.vaultChoices.set(asset.address.toLowerCase(), select.value);
+      await scanPlan();
+    })
+  );
+  return select;
+}
+
+function formatSimulationSummary(plan) {
+  if (plan.sweep && !plan.simulations) {
+    return `Simulation: ${plan.sweep.functionName} is simulated as one transaction once signed\n`;
+  }
+  const failures = predictedFailures(plan);
+  if (failures.length === 0) {
+    return `Simulation: all ${plan.calls.length} step(s) will succeed\n`;
+  }
+  if (plan.sweep) {
+    return (
+      `Simulation: ${failures.length} of ${plan.calls.length} step(s) will REVERT. ` +
+      "A sweep cannot drop steps; switch execution to step by step or batch to leave them out.\n"
+    );
+  }
+  return (
+    `Simulation: ${failures.length} of ${plan.calls.length} step(s) will REVERT. ` +
+    "Use \"Drop predicted failures\" to remove them before signing.\n"
+  );
+}
+
+// A step predicted to revert with steps after it would leave every later signature unusable (see `firstNonceGap`).
+function refuseNonceGap(plan) {
+  const gap = firstNonceGap((plan.simulations ?? []).map((simulation) => simulation.ok));
+  if (gap < 0) return;
+  throw new Error(
+    `"${plan.calls[gap].note}" is predicted to revert. Run in one transaction, it would leave nonce ` +
+      `${plan.currentNonce + BigInt(gap)} unused, so the ${plan.calls.length - gap - 1} step(s) signed after it ` +
+      "would all fail. " +
+      (plan.sweep
+        ? "Nothing was sent. Switch execution to step by step or batch to leave it out."
+        : "Use \"Drop predicted failures\", or switch execution to step by step.")
+  );
+}
+
+/**
+ * The same check on a signed bundle, by simulating the whole transaction, since its calls can depend on
+ * each other. A transaction that reverts as a whole is left to gas estimation, which reports the reason.
+ */
+async function refuseSignedNonceGap(publicClient, bundle) {
+  const simulation = await simulateExecution(publicClient, bundle, state.account);
+  const gap = firstNonceGap(simulation.calls.map((call) => call.success));
+  if (gap < 0) return;
+  const call = bundle.calls[gap];
+  throw new Error(
+    `Signed call #${gap} (${call.note || `${call.target} ${call.data.slice(0, 10)}`}) would fail, leaving its nonce ` +
+      `unused, so the ${bundle.calls.length - gap - 1} call(s) signed after it would all fail. Nothing was sent. ` +
+      "Use step-by-step mode, which signs each step for the live nonce."
+  );
+}
+
+// Asks before signing for a Smart Account the profile cannot fully verify (`checkWalletSetup` warnings).
+function confirmUnverifiedSetup(plan) {
+  if (plan.setupWarnings.length === 0) return;
+  const proceed = window.confirm(
+    `These checks could not be made:\n- ${plan.setupWarnings.join("\n- ")}\n\n` +
+      `Only continue if you are sure ${plan.wallet} is your Cadmos Smart Account and ${plan.signatory} may sign for it. Continue?`
+  );
+  if (!proceed) throw new Error("Cancelled. Nothing was signed.");
+}
+
+// Asks before spending signatures on steps the simulation expects to revert.
+function confirmPredictedFailures(plan) {
+  const failures = predictedFailures(plan);
+  if (failures.length === 0) return;
+  const summary = failures.map(({ call, simulation }) => `- ${call.note}: ${simulation.reason}`).join("\n");
+  const proceed = window.confirm(
+    `${failures.length} step(s) are predicted to revert:\n${summary}\n\n` +
+      (plan.sweep && plan.simulations
+        ? "The sweep is signed but not sent. Sending it still costs gas. Continue anyway?"
+        : "Each one still costs a signature and gas. Continue anyway?")
+  );
+  if (!proceed) {
+    throw new Error(
+      plan.sweep
+        ? "Cancelled. Switch execution to step by step or batch to leave failing steps out."
+        : "Cancelled. Use \"Drop predicted failures\" to remove failing steps, then try again."
+    );
+  }
+}
+
+function renderPlanPreview(plan) {
+  els.nonceBadge.textContent = `Smart Account nonce: ${plan.currentNonce.toString()}`;
+  renderAssetTable(plan);
+
+  const preview = {
+    chainId: plan.chainId,
+    controller: plan.controller,
+    wallet: plan.wallet,
+    destination: plan.destination,
+    destinationWarnings: plan.destinationWarnings,
+    continueOnFailure: plan.continueOnFailure,
+    mode: plan.mode,
+    walletNonce: plan.currentNonce.toString(),
+    nativeBalance: plan.nativeBalance === null ? "not read" : formatNativeBalance(plan.nativeBalance),
+    nativeBalanceRecoverable: false,
+    callCount: plan.calls.length,
+    sweep: plan.sweep,
+    assets: plan.assets.map((a, i) => ({
+      action: a.action,
+      symbol: a.symbol,
+      address: a.address,
+      amount: formatPlannedAmount(a),
+      rawAmount: a.amount?.toString() ?? null,
+      source: a.source,
+      vault: a.vault
+        ? { handling: a.vault.handling, underlying: a.vault.asset, previewRedeem: formatVaultPreview(a.vault) }
+        : undefined,
+      simulation: stepSimulationLabel(plan, i),
+    })),
+    planNotes: plan.notes,
+    callPlanNotes: plan.calls.map((call) => call.note),
+    digests: plan.calls.map((call, i) => requestDigest(plan.chainId, plan.wallet, call, plan.currentNonce + BigInt(i))),
+  };
+
+  const reviewHeader =
+    `Review before recovering:\n` +
+    `Network: ${plan.chainId}\n` +
+    `Destination: ${plan.destination}\n` +
+    formatWarnings(plan.destinationWarnings) +
+    formatWarnings(plan.setupWarnings) +
+    formatNativeWarning(plan) +
+    `Steps: ${plan.calls.length}\n` +
+    formatSimulationSummary(plan) +
+    "\n";
+
+  setOutput(reviewHeader + JSON.stringify(preview, bigintReplacer, 2));
+}
+
+function renderGenerated(bundle) {
+  const out = serializeBundle(bundle);
+
+  const reviewHeader =
+    `Signed recovery bundle ready:\n` +
+    `Network: ${bundle.chainId}\n` +
+    `Destination: ${bundle.destination}\n` +
+    formatWarnings(bundle.destinationWarnings) +
+    formatNativeWarning(bundle) +
+    `Signed calls: ${bundle.calls.length}\n\n`;
+
+  setOutput(reviewHeader + JSON.stringify(out, null, 2));
 }
 
 async function scanPlan() {
-  const plan = await buildUnsignedPlan();
+  const plan = await buildUnsignedPlan({ stepByStep: els.executionModeInput.value === "step" });
   clearGeneratedState();
   state.scannedPlan = plan;
   renderPlanPreview(plan);
 }
 
+async function dropPredictedFailures() {
+  if (!state.scannedPlan) throw new Error("Scan & Build Plan first.");
+  for (const { call } of predictedFailures(state.scannedPlan)) {
+    state.droppedSteps.add(stepKey(call));
+  }
+  await scanPlan();
+}
+
 async function ensureGenerated() {
   const fingerprint = inputFingerprint();
   if (state.generated && state.generatedFingerprint === fingerprint) {
@@ -712,7 +1487,17 @@ async function ensureGenerated() {
   }
 
   const plan = await buildUnsignedPlan();
+  renderAssetTable(plan);
+  confirmUnverifiedSetup(plan);
+  refuseNonceGap(plan);
+  confirmPredictedFailures(plan);
   const bundle = await signPlan(plan);
+  if (plan.sweep) {
+    plan.simulations = bundle.simulations;
+    renderAssetTable(plan);
+    refuseNonceGap(plan);
+    confirmPredictedFailures(plan);
+  }
 
   state.scannedPlan = plan;
   state.generated = bundle;
@@ -722,14 +1507,355 @@ async function ensureGenerated() {
   return bundle;
 }
 
-async function recoverNow() {
+function journalKey(chainId, wallet) {
+  return `${JOURNAL_KEY_PREFIX}:${chainId}:${wallet.toLowerCase()}`;
+}
+
+function loadJournal(chainId, wallet) {
+  const raw = localStorage.getItem(journalKey(chainId, wallet));
+  if (!raw) return null;
+  try {
+    return JSON.parse(raw);
+  } catch {
+    localStorage.removeItem(journalKey(chainId, wallet));
+    return null;
+  }
+}
+
+function saveJournal(journal) {
+  journal.updatedAt = new Date().toISOString();
+  journal.completed = journal.steps.every((step) => JOURNAL_DONE_STATUSES.has(step.status));
+  localStorage.setItem(journalKey(journal.chainId, journal.wallet), JSON.stringify(journal, bigintReplacer));
+}
+
+function discardJournal() {
+  const journal = currentJournal();
+  if (journal) localStorage.removeItem(journalKey(journal.chainId, journal.wallet));
+  refreshResumePanel();
+}
+
+// Returns the unfinished journal for the selected chain + Smart Account input, if any.
+function currentJournal() {
+  const walletRaw = els.walletInput.value.trim();
+  if (state.selectedChainId === null || !isAddress(walletRaw)) return null;
+  const journal = loadJournal(state.selectedChainId, getAddress(walletRaw));
+  return journal && !journal.completed ? journal : null;
+}
+
+/**
+ * Records a recovery before the first signature so it can be resumed after a closed tab, a wallet
+ * disconnect or a stuck transaction. Steps are matched by target + selector across rebuilds.
+ */
+function startJournal(plan, executionMode) {
+  const journal = {
+    chainId: plan.chainId,
+    wallet: plan.wallet,
+    signatory: plan.signatory,
+    controller: plan.controller,
+    destination: plan.destination,
+    continueOnFailure: plan.continueOnFailure,
+    executionMode,
+    startNonce: plan.currentNonce.toString(),
+    startedAt: new Date().toISOString(),
+    steps: plan.calls.map((call) => ({
+      key: stepKey(call),
+      target: call.target,
+      data: call.data,
+      deadline: call.deadline.toString(),
+      note: call.note,
+      status: "pending",
+      nonce: null,
+      txHash: null,
+    })),
+  };
+  saveJournal(journal);
+  return journal;
+}
+
+function recordJournalStep(journal, call, patch) {
+  if (!journal) return;
+  const step = journal.steps.find((s) => s.key === stepKey(call));
+  if (!step) return;
+  Object.assign(step, patch);
+  saveJournal(journal);
+}
+
+function refreshResumePanel() {
+  const journal = currentJournal();
+  if (!journal) {
+    els.resumePanel.classList.remove("active");
+    return;
+  }
+
+  const done = journal.steps.filter((step) => JOURNAL_DONE_STATUSES.has(step.status)).length;
+  const lines = journal.steps.map(
+    (step, i) =>
+      `${i + 1}. [${step.status}] ${step.note}` +
+      (step.nonce !== null ? ` nonce=${step.nonce}` : "") +
+      (step.txHash ? ` tx=${step.txHash}` : "")
+  );
+  els.resumeSummary.textContent =
+    `Unfinished recovery started ${journal.startedAt} (${journal.executionMode} mode)\n` +
+    `Destination: ${journal.destination}\n` +
+    `Steps done: ${done}/${journal.steps.length}\n\n` +
+    lines.join("\n");
+  els.resumePanel.classList.add("active");
+}
+
+/**
+ * Brings journal statuses in line with the chain using receipts for known tx hashes. A step whose nonce
+ * was consumed without a receipt is only "unknown": another call signed for that nonce may have used it,
+ * so resume re-plans it from live balances instead of counting it as recovered.
+ */
+async function reconcileJournal(publicClient, journal) {
+  const liveNonce = await publicClient.readContract({
+    address: journal.wallet,
+    abi: walletAbi,
+    functionName: "nonce",
+  });
+
+  for (const step of journal.steps) {
+    if (JOURNAL_DONE_STATUSES.has(step.status)) continue;
+
+    if (step.txHash) {
+      const receipt = await safeRead(() => publicClient.getTransactionReceipt({ hash: step.txHash }), null);
+      if (receipt) {
+        const events = decodeWalletCallEvents(receipt, journal.controller);
+        const index = journal.executionMode === "step" ? 0 : journal.steps.indexOf(step);
+        const event = events.get(index);
+        step.status = event?.success ? "success" : "failed";
+        continue;
+      }
+    }
+
+    if (step.nonce !== null && BigInt(step.nonce) < liveNonce && step.status !== "failed") {
+      step.status = "unknown";
+      step.reason = `Nonce ${step.nonce} was used, but no receipt shows this step landed; re-planned from live balances.`;
+      continue;
+    }
+
+    // Not landed: the signature (if any) is tied to an old nonce or deadline, so re-sign this step.
+    step.status = step.status === "failed" ? "failed" : "pending";
+  }
+
+  journal.reconciledNonce = liveNonce.toString();
+  saveJournal(journal);
+  return liveNonce;
+}
+
+async function resumeRecovery() {
   if (!els.confirmReviewInput.checked) {
-    throw new Error("Please confirm network and destination before recovering.");
+    throw new Error("Please confirm network and destination before resuming.");
   }
-  const plan = await buildUnsignedPlan();
+  const journal = currentJournal();
+  if (!journal) throw new Error("No unfinished recovery for this Smart Account and network.");
+
   const { publicClient, walletClient } = clients();
   await enforceExpectedChain(publicClient);
+  setOutput("Reconciling recovery journal with on-chain state...");
+  const liveNonce = await reconcileJournal(publicClient, journal);
+  refreshResumePanel();
+
+  const remaining = new Set(
+    journal.steps.filter((step) => !JOURNAL_DONE_STATUSES.has(step.status)).map((step) => step.key)
+  );
+  if (remaining.size === 0) {
+    renderResultsTable(journalResults(journal));
+    setOutput(`Recovery already complete (Smart Account nonce ${liveNonce}). Nothing left to do.`);
+    return;
+  }
+  // Running leftover approvals on their own would leave the adapter approved without the sweep behind them.
+  if (journal.executionMode === "sweep") {
+    renderResultsTable(journalResults(journal));
+    throw new Error(
+      "The adapter sweep did not complete. It runs as one transaction and cannot be resumed step by step: " +
+        "discard this journal and run Recover Now again to sweep what is left."
+    );
+  }
+
+  // Rebuild from live balances so amounts reflect what is actually left, then keep only unfinished steps.
+  const fullPlan = await buildUnsignedPlan({ stepByStep: true });
+  const keep = fullPlan.calls.map((call) => remaining.has(stepKey(call)));
+  const plan = {
+    ...fullPlan,
+    calls: fullPlan.calls.filter((_, i) => keep[i]),
+    assets: fullPlan.assets.filter((_, i) => keep[i]),
+    simulations: fullPlan.simulations.filter((_, i) => keep[i]),
+  };
+
+  for (const step of journal.steps) {
+    if (remaining.has(step.key) && !plan.calls.some((call) => stepKey(call) === step.key)) {
+      step.reason =
+        step.status === "unknown"
+          ? "Nothing left to recover for this step; its nonce was used without a receipt."
+          : "Nothing left to recover for this step.";
+      step.status = "skipped";
+    }
+  }
+  saveJournal(journal);
+
+  if (plan.calls.length === 0) {
+    refreshResumePanel();
+    renderResultsTable(journalResults(journal));
+    setOutput("All remaining steps have zero balance now. Recovery complete.");
+    return;
+  }
+
+  renderAssetTable(plan);
+  confirmUnverifiedSetup(plan);
+  confirmPredictedFailures(plan);
+  await checkSignatoryFunding(publicClient, await estimateStepGas(publicClient, plan), plan.calls.length);
+  await recoverStepByStep(plan, publicClient, walletClient, journal);
+  refreshResumePanel();
+  renderResultsTable(journalResults(journal));
+  setOutput(
+    JSON.stringify(
+      {
+        chainId: journal.chainId,
+        wallet: journal.wallet,
+        destination: journal.destination,
+        resumedFromNonce: liveNonce.toString(),
+        steps: journal.steps,
+      },
+      null,
+      2
+    )
+  );
+}
 
+function journalResults(journal) {
+  return journal.steps.map((step, i) => ({
+    step: i,
+    note: step.note,
+    nonce: step.nonce,
+    txHash: step.txHash,
+    txStatus: step.status === "success" ? "success" : undefined,
+    callSuccess: step.status === "success",
+    skipped: step.status === "skipped",
+  }));
+}
+
+function decodeWalletCallEvents(receipt, controller) {
+  const events = new Map();
+  for (const log of receipt.logs) {
+    if (log.address.toLowerCase() !== controller.toLowerCase()) continue;
+    try {
+      const decoded = decodeEventLog({
+        abi: controllerAbi,
+        data: log.data,
+        topics: log.topics,
+      });
+      if (decoded.eventName === "WalletCallExecuted") {
+        events.set(Number(decoded.args.index), {
+          success: Boolean(decoded.args.success),
+          returnData: decoded.args.returnData || "0x",
+        });
+      }
+    } catch {
+      continue;
+    }
+  }
+  return events;
+}
+
+function renderResultsTable(results) {
+  els.resultsTableBody.innerHTML = "";
+  if (!results || results.length === 0) {
+    els.resultsTable.classList.remove("active");
+    return;
+  }
+
+  for (const result of results) {
+    const row = document.createElement("tr");
+    let status;
+    if (result.skipped) {
+      status = "skipped";
+    } else if (result.callSuccess) {
+      status = "success";
+    } else {
+      status = result.txStatus === "reverted" ? "not executed (tx reverted)" : "failed";
+    }
+    if (!result.skipped && !result.callSuccess) row.classList.add("predicted-failure");
+
+    const cells = [result.label ?? String(result.step + 1), result.note, result.nonce ?? "", result.txHash ?? "", status];
+    for (const value of cells) {
+      const cell = document.createElement("td");
+      cell.textContent = value;
+      row.appendChild(cell);
+    }
+    els.resultsTableBody.appendChild(row);
+  }
+  els.resultsTable.classList.add("active");
+}
+
+/**
+ * Step-by-step mode signs each step just before sending it, so nothing signed exists to estimate yet.
+ * Each step is approximated as the relay with a placeholder signature (controller, wallet and signature
+ * check) plus the inner call's own gas estimated from the Smart Account.
+ */
+async function estimateStepGas(publicClient, plan) {
+  let total = 0n;
+  for (const step of plan.calls) {
+    const relay = await publicClient.estimateContractGas({
+      account: state.account,
+      address: plan.controller,
+      abi: controllerAbi,
+      functionName: "executeSignedCalls",
+      args: [
+        plan.wallet,
+        [{ target: step.target, signatory: plan.signatory, data: step.data, signature: PLACEHOLDER_SIGNATURE, deadline: step.deadline }],
+        true,
+      ],
+    });
+    // Same EIP-3607 workaround as `simulateCalls`: nodes may reject a sender that has code.
+    const request = { account: plan.wallet, to: step.target, data: step.data };
+    const inner = await publicClient
+      .estimateGas(request)
+      .catch(() => publicClient.estimateGas({ ...request, stateOverride: [{ address: plan.wallet, code: "0x" }] }))
+      .catch(() => 0n);
+    total += relay + (inner > 21_000n ? inner - 21_000n : 0n);
+  }
+  return total;
+}
+
+async function estimateBatchGas(publicClient, bundle) {
+  try {
+    return await publicClient.estimateContractGas({
+      account: state.account,
+      address: bundle.controller,
+      abi: controllerAbi,
+      ...controllerExecution(bundle),
+    });
+  } catch (error) {
+    throw new Error(`Gas estimation failed, so this transaction would revert: ${describeRevert(error)}`);
+  }
+}
+
+/**
+ * Compares the worst-case cost of `gas` (plus GAS_ESTIMATE_BUFFER_PERCENT, at `maxFeePerGas`) with the
+ * connected account's native balance, and refuses to continue with the shortfall when it cannot pay.
+ */
+async function checkSignatoryFunding(publicClient, gas, steps) {
+  const fees = await publicClient.estimateFeesPerGas().catch(() => null);
+  const feePerGas = fees?.maxFeePerGas ?? fees?.gasPrice ?? (await publicClient.getGasPrice());
+  const bufferedGas = (gas * (100n + GAS_ESTIMATE_BUFFER_PERCENT)) / 100n;
+  const cost = bufferedGas * feePerGas;
+  const balance = await publicClient.getBalance({ address: state.account });
+
+  const summary =
+    `Estimated gas for ${steps} step(s): ${gas} (+${GAS_ESTIMATE_BUFFER_PERCENT}% margin) at ` +
+    `${formatUnits(feePerGas, 9)} gwei max = ${formatNativeBalance(cost)}. ` +
+    `Balance of ${state.account}: ${formatNativeBalance(balance)}.`;
+  if (balance < cost) {
+    throw new Error(
+      `Not enough ${(state.profile?.nativeCurrency ?? DEFAULT_NATIVE_CURRENCY).symbol} for gas. ${summary}\n` +
+        `Send at least ${formatNativeBalance(cost - balance)} more to ${state.account}, then try again.`
+    );
+  }
+  return { gas: gas.toString(), feePerGas: feePerGas.toString(), estimatedCost: formatNativeBalance(cost), summary };
+}
+
+async function recoverStepByStep(plan, publicClient, walletClient, journal) {
   const results = [];
   let cadmosWithdrawSucceeded = false;
 
@@ -748,6 +1874,7 @@ async function recoverNow() {
         skipped: true,
         reason: "Skipped redeem fallback because withdraw already succeeded.",
       });
+      recordJournalStep(journal, step, { status: "skipped" });
       continue;
     }
 
@@ -757,39 +1884,17 @@ async function recoverNow() {
       functionName: "nonce",
     });
 
+    const typedData = requestTypedData(plan.chainId, plan.wallet, step, liveNonce);
+
     setOutput(
       `Executing step ${i + 1}/${plan.calls.length}\n` +
         `Nonce: ${liveNonce.toString()}\n` +
         `Action: ${step.note}\n` +
+        `EIP-712 digest: ${requestDigest(plan.chainId, plan.wallet, step, liveNonce)}\n` +
         "Please confirm signature and transaction in wallet..."
     );
 
-    const signature = await walletClient.signTypedData({
-      account: state.account,
-      domain: {
-        name: "Cadmos UserWallet",
-        version: "1",
-        chainId: plan.chainId,
-        verifyingContract: plan.wallet,
-      },
-      types: {
-        Request: [
-          { name: "target", type: "address" },
-          { name: "value", type: "uint256" },
-          { name: "deadline", type: "uint256" },
-          { name: "nonce", type: "uint256" },
-          { name: "data", type: "bytes" },
-        ],
-      },
-      primaryType: "Request",
-      message: {
-        target: step.target,
-        value: 0n,
-        deadline: step.deadline,
-        nonce: liveNonce,
-        data: step.data,
-      },
-    });
+    const signature = await walletClient.signTypedData({ account: state.account, ...typedData });
 
     const callTuple = [
       {
@@ -800,6 +1905,8 @@ async function recoverNow() {
         deadline: step.deadline,
       },
     ];
+    // A re-planned step starts over: drop the hash and reason left by its earlier attempt.
+    recordJournalStep(journal, step, { status: "signed", nonce: liveNonce.toString(), txHash: null, reason: undefined });
 
     const hash = await walletClient.writeContract({
       account: state.account,
@@ -808,28 +1915,12 @@ async function recoverNow() {
       functionName: "executeSignedCalls",
       args: [plan.wallet, callTuple, true],
     });
+    recordJournalStep(journal, step, { status: "submitted", txHash: hash });
 
     const receipt = await publicClient.waitForTransactionReceipt({ hash });
-
-    let callSuccess = receipt.status === "success";
-    let returnData = "0x";
-
-    for (const log of receipt.logs) {
-      if (log.address.toLowerCase() !== plan.controller.toLowerCase()) continue;
-      try {
-        const decoded = decodeEventLog({
-          abi: controllerAbi,
-          data: log.data,
-          topics: log.topics,
-        });
-        if (decoded.eventName === "WalletCallExecuted") {
-          callSuccess = Boolean(decoded.args.success);
-          returnData = decoded.args.returnData || "0x";
-        }
-      } catch {
-        continue;
-      }
-    }
+    const event = decodeWalletCallEvents(receipt, plan.controller).get(0);
+    const callSuccess = event ? event.success : receipt.status === "success";
+    recordJournalStep(journal, step, { status: callSuccess ? "success" : "failed" });
 
     results.push({
       step: i,
@@ -838,7 +1929,7 @@ async function recoverNow() {
       txHash: hash,
       txStatus: receipt.status,
       callSuccess,
-      returnData,
+      returnData: event?.returnData ?? "0x",
     });
 
     if (isCadmosCall && selector === SELECTOR_WITHDRAW && callSuccess) {
@@ -850,15 +1941,136 @@ async function recoverNow() {
     }
   }
 
+  return results;
+}
+
+/**
+ * Signs the whole plan up front, then submits it as a single `executeSignedCalls` transaction (or
+ * `executeRecoveryPlan*` for an adapter sweep). Every `WalletCallExecuted` event in the receipt becomes
+ * one row of the results, followed by one row per asset the adapter reported.
+ */
+async function recoverBatch(publicClient, walletClient) {
+  const bundle = await ensureGenerated();
+  const plan = state.scannedPlan;
+
+  const liveNonce = await publicClient.readContract({
+    address: bundle.wallet,
+    abi: walletAbi,
+    functionName: "nonce",
+  });
+  if (liveNonce !== bundle.walletNonce) {
+    clearGeneratedState();
+    throw new Error(
+      `Smart Account nonce moved from ${bundle.walletNonce} to ${liveNonce} since signing. Run Recover Now again to re-sign.`
+    );
+  }
+  await refuseSignedNonceGap(publicClient, bundle);
+
+  const funding = await checkSignatoryFunding(publicClient, await estimateBatchGas(publicClient, bundle), bundle.calls.length);
+
+  setOutput(
+    `Submitting ${bundle.calls.length} signed call(s) in one transaction.\n` +
+      `${funding.summary}\n` +
+      "Please confirm the transaction in wallet..."
+  );
+
+  const journal = startJournal(plan, bundle.sweep ? "sweep" : "batch");
+  for (const call of bundle.calls) {
+    recordJournalStep(journal, call, { status: "signed", nonce: call.nonce.toString() });
+  }
+
+  const hash = await walletClient.writeContract({
+    account: state.account,
+    address: bundle.controller,
+    abi: controllerAbi,
+    ...controllerExecution(bundle),
+  });
+  for (const call of bundle.calls) {
+    recordJournalStep(journal, call, { status: "submitted", txHash: hash });
+  }
+
+  setOutput(`Transaction sent: ${hash}\nWaiting for confirmation...`);
+  const receipt = await publicClient.waitForTransactionReceipt({ hash });
+  const events = decodeWalletCallEvents(receipt, bundle.controller);
+
+  // The signatures are consumed (or the batch reverted); never reuse this bundle.
+  clearGeneratedState();
+
+  const results = bundle.calls.map((call, i) => {
+    const event = events.get(i);
+    recordJournalStep(journal, call, { status: event?.success ? "success" : "failed" });
+    return {
+      step: i,
+      note: call.note,
+      nonce: call.nonce.toString(),
+      txHash: hash,
+      txStatus: receipt.status,
+      callSuccess: event ? event.success : false,
+      returnData: event?.returnData ?? "0x",
+    };
+  });
+  results.push(...adapterResultRows(bundle, receipt, hash));
+
+  return { plan, results, funding };
+}
+
+// One results row per `CadmosRecoveryResult`/`ERC20RecoveryResult` the adapter emitted in a sweep.
+function adapterResultRows(bundle, receipt, txHash) {
+  if (!bundle.sweep) return [];
+  return decodeAdapterResults(receipt.logs, bundle.sweep.adapter).map((result) => ({
+    label: "adapter",
+    note: describeAdapterResult(result),
+    txHash,
+    txStatus: receipt.status,
+    callSuccess: result.success,
+    returnData: result.returnData,
+  }));
+}
+
+async function recoverNow() {
+  if (!els.confirmReviewInput.checked) {
+    throw new Error("Please confirm network and destination before recovering.");
+  }
+  const { publicClient, walletClient } = clients();
+
+  if (currentJournal()) {
+    const restart = window.confirm(
+      "An unfinished recovery exists for this Smart Account. Use \"Resume recovery\" to continue it.\n\n" +
+        "Start a new recovery instead and discard the old journal?"
+    );
+    if (!restart) throw new Error("Cancelled. Use \"Resume recovery\" to continue the unfinished recovery.");
+  }
+
+  let plan;
+  let results;
+  let funding;
+  if (els.executionModeInput.value !== "step") {
+    ({ plan, results, funding } = await recoverBatch(publicClient, walletClient));
+  } else {
+    plan = await buildUnsignedPlan({ stepByStep: true });
+    renderAssetTable(plan);
+    confirmUnverifiedSetup(plan);
+    confirmPredictedFailures(plan);
+    await enforceExpectedChain(publicClient);
+    funding = await checkSignatoryFunding(publicClient, await estimateStepGas(publicClient, plan), plan.calls.length);
+    const journal = startJournal(plan, "step");
+    results = await recoverStepByStep(plan, publicClient, walletClient, journal);
+  }
+
+  refreshResumePanel();
+  renderResultsTable(results);
   setOutput(
     JSON.stringify(
       {
         chainId: plan.chainId,
         wallet: plan.wallet,
         destination: plan.destination,
+        destinationWarnings: plan.destinationWarnings,
         continueOnFailure: plan.continueOnFailure,
+        executionMode: els.executionModeInput.value,
+        gasEstimate: funding.summary,
         totalSteps: plan.calls.length,
-        executedSteps: results.length,
+        executedSteps: results.filter((r) => !r.skipped && r.txStatus === "success").length,
         results,
       },
       null,
@@ -867,63 +2079,644 @@ async function recoverNow() {
   );
 }
 
-async function copyJson() {
-  const bundle = await ensureGenerated();
+/**
+ * Accepts either the JSON downloaded from this page (`calls`, `walletNonce`, ...) or the output of
+ * `generateRecoveryPayloads.ts` (`executeSignedCallsInput`) and returns one normalized shape. Adapter
+ * sweep bundles also carry `sweep`, and their calldata is `executeRecoveryPlanCalldata`.
+ */
+function parseImportedBundle(raw) {
+  let json;
+  try {
+    json = JSON.parse(raw);
+  } catch {
+    throw new Error("Imported bundle is not valid JSON.");
+  }
 
-  const payload = {
-    chainId: bundle.chainId,
-    controller: bundle.controller,
-    wallet: bundle.wallet,
-    destination: bundle.destination,
-    continueOnFailure: bundle.continueOnFailure,
-    mode: bundle.mode,
-    walletNonce: bundle.walletNonce.toString(),
-    callPlanNotes: bundle.callPlanNotes,
-    calls: bundle.calls.map((c) => ({
-      target: c.target,
-      signatory: c.signatory,
+  const input = json.executeSignedCallsInput ?? json;
+  const rawCalls = input.calls;
+  if (!Array.isArray(rawCalls) || rawCalls.length === 0) {
+    throw new Error("Imported bundle has no signed calls.");
+  }
+
+  const chainId = parseChainIdValue(typeof json.chainId === "number" ? json.chainId : String(json.chainId ?? ""));
+  if (chainId === null) throw new Error("Imported bundle is missing chainId.");
+
+  const calls = rawCalls.map((c, i) => {
+    if (typeof c.data !== "string" || !c.data.startsWith("0x")) throw new Error(`Call ${i}: invalid data.`);
+    if (typeof c.signature !== "string" || !c.signature.startsWith("0x")) {
+      throw new Error(`Call ${i}: invalid signature.`);
+    }
+    return {
+      target: parseAddress(`Call ${i} target`, c.target),
+      signatory: parseAddress(`Call ${i} signatory`, c.signatory),
       data: c.data,
       signature: c.signature,
-      deadline: c.deadline.toString(),
-      nonce: c.nonce.toString(),
-      note: c.note,
-    })),
-    executeSignedCallsCalldata: bundle.executeSignedCallsCalldata,
+      deadline: BigInt(c.deadline),
+      nonce: c.nonce !== undefined && c.nonce !== null ? BigInt(c.nonce) : null,
+      value: c.value !== undefined ? BigInt(c.value) : 0n,
+      note: c.note ?? json.callPlanNotes?.[i] ?? "",
+      digest: c.digest ?? json.digests?.[i] ?? null,
+    };
+  });
+
+  // The flag is part of the signed calldata; guessing it would verify calldata the bundle never had.
+  const continueOnFailure = input.continueOnFailure ?? json.continueOnFailure;
+  if (typeof continueOnFailure !== "boolean") throw new Error("Bundle must state continueOnFailure as true or false.");
+
+  const walletNonce =
+    json.walletNonce !== undefined ? BigInt(json.walletNonce) : (calls[0].nonce ?? null);
+
+  let sweep = null;
+  if (json.sweep) {
+    if (!json.signatory || !json.destination) throw new Error("Adapter sweep bundle must state signatory and destination.");
+    sweep = {
+      ...parseSweep(json.sweep),
+      adapter: parseAddress("Sweep adapter", json.sweep.adapter),
+      cadmosToken: parseAddress("Sweep Cadmos token", json.sweep.cadmosToken),
+      tokens: (json.sweep.tokens ?? []).map((token, i) => parseAddress(`Sweep token ${i}`, token)),
+    };
+  }
+
+  return {
+    chainId,
+    controller: parseAddress("Bundle controller", json.controller),
+    wallet: parseAddress("Bundle wallet", input.wallet ?? json.wallet),
+    signatory: json.signatory ? parseAddress("Bundle signatory", json.signatory) : null,
+    destination: json.destination && isAddress(json.destination) ? getAddress(json.destination) : null,
+    continueOnFailure,
+    walletNonce,
+    calls,
+    sweep,
+    calldata: (sweep ? json.executeRecoveryPlanCalldata : json.executeSignedCallsCalldata) ?? null,
   };
+}
+
+async function readBundleSource(fileInput, textInput) {
+  const file = fileInput.files?.[0];
+  if (file) return file.text();
+  const text = textInput.value.trim();
+  if (!text) throw new Error("Choose a bundle file or paste the bundle JSON.");
+  return text;
+}
+
+/**
+ * Decodes one signed call's `data`. `receiver` is where the funds go (or who may move them, for a
+ * non-zero approve) and `owner` whose funds they are; both are null when the call does not say.
+ */
+function decodeInnerCall(target, data) {
+  const selector = data.slice(0, 10).toLowerCase();
+  try {
+    if (selector === SELECTOR_WITHDRAW || selector === SELECTOR_REDEEM) {
+      const { functionName, args } = decodeFunctionData({ abi: cadmosAbi, data });
+      const [amount, receiver, owner] = args;
+      const unit = functionName === "withdraw" ? "assets" : "shares";
+      return {
+        action: functionName,
+        description: `${functionName}(${unit}=${amount}, receiver=${receiver}, owner=${owner}) on ${target}`,
+        receiver,
+        owner,
+      };
+    }
+    if (selector === SELECTOR_TRANSFER) {
+      const { args } = decodeFunctionData({ abi: erc20Abi, data });
+      const [receiver, amount] = args;
+      return { action: "transfer", description: `transfer(to=${receiver}, amount=${amount}) on token ${target}`, receiver, owner: null };
+    }
+    if (selector === SELECTOR_ERC721_SAFE_TRANSFER) {
+      const { args } = decodeFunctionData({ abi: erc721Abi, data });
+      const [from, to, tokenId] = args;
+      return {
+        action: "safeTransferFrom",
+        description: `safeTransferFrom(from=${from}, to=${to}, tokenId=${tokenId}) on ERC-721 ${target}`,
+        receiver: to,
+        owner: from,
+      };
+    }
+    if (selector === SELECTOR_ERC1155_SAFE_TRANSFER) {
+      const { args } = decodeFunctionData({ abi: erc1155Abi, data });
+      const [from, to, id, amount] = args;
+      return {
+        action: "safeTransferFrom",
+        description: `safeTransferFrom(from=${from}, to=${to}, id=${id}, amount=${amount}) on ERC-1155 ${target}`,
+        receiver: to,
+        owner: from,
+      };
+    }
+    if (selector === SELECTOR_RECOVER_ALL || selector === SELECTOR_RECOVER_WITH_AMOUNTS) {
+      const { functionName, args } = decodeFunctionData({ abi: adapterAbi, data });
+      const [receiver, cadmosToken] = args;
+      const rest =
+        functionName === "recoverWithAmounts"
+          ? `cadmosAssetAmount=${args[2]}, tokens=[${args[3].join(", ")}], tokenAmounts=[${args[4].join(", ")}]`
+          : `tokens=[${args[2].join(", ")}]`;
+      return {
+        action: functionName,
+        description: `${functionName}(destination=${receiver}, cadmosToken=${cadmosToken}, ${rest}) on adapter ${target}`,
+        receiver,
+        owner: null,
+      };
+    }
+    if (selector === SELECTOR_APPROVE) {
+      const { args } = decodeFunctionData({ abi: erc20Abi, data });
+      const [spender, amount] = args;
+      return {
+        action: "approve",
+        description: `approve(spender=${spender}, amount=${amount}) on token ${target}`,
+        receiver: amount === 0n ? null : spender,
+        owner: null,
+      };
+    }
+  } catch {
+    return { action: "malformed", description: `${selector} on ${target} with undecodable arguments`, receiver: null, owner: null };
+  }
+  return { action: "unknown", description: `unknown selector ${selector} on ${target}`, receiver: null, owner: null };
+}
+
+/**
+ * Offline soundness checks for a signed bundle. Nothing the bundle says about itself is trusted:
+ * digests are rebuilt, signers recovered from the signatures, every call decoded and the
+ * `executeSignedCalls` calldata re-encoded from the calls. A sweep's calls must be exactly the steps its
+ * plan function rebuilds; whether `sweep.adapter` is the controller's adapter needs the chain and is
+ * checked by `validateImportedBundle`.
+ */
+async function verifyBundle(bundle, startNonce = bundle.walletNonce) {
+  const now = BigInt(Math.floor(Date.now() / 1000));
+  const problems = [];
+  const calls = [];
+
+  if (startNonce === null) {
+    problems.push("Bundle states no nonces, so digests and signers cannot be checked.");
+  }
+
+  for (let i = 0; i < bundle.calls.length; i++) {
+    const call = bundle.calls[i];
+    const callProblems = [];
+    const nonce = startNonce === null ? null : startNonce + BigInt(i);
+    let digest = null;
+    let signer = null;
+
+    if (nonce !== null) {
+      if (call.nonce !== null && call.nonce !== nonce) {
+        callProblems.push(`nonce ${call.nonce}, expected ${nonce} (nonces must be contiguous from ${startNonce})`);
+      }
+      digest = requestDigest(bundle.chainId, bundle.wallet, call, nonce);
+      if (call.digest && call.digest.toLowerCase() !== digest.toLowerCase()) {
+        callProblems.push(`digest ${call.digest} does not match its fields (${digest})`);
+      }
+      try {
+        signer = await recoverAddress({ hash: digest, signature: call.signature });
+      } catch {
+        callProblems.push("signature cannot be parsed");
+      }
+      if (signer && signer !== call.signatory) {
+        callProblems.push(`signed by ${signer}, not by its signatory ${call.signatory}`);
+      }
+    }
+    if (bundle.signatory && call.signatory !== bundle.signatory) {
+      callProblems.push(`signatory ${call.signatory} differs from the bundle signatory ${bundle.signatory}`);
+    }
+    if (call.deadline <= now) {
+      callProblems.push(`deadline ${new Date(Number(call.deadline) * 1000).toISOString()} has passed`);
+    }
+
+    const decoded = decodeInnerCall(call.target, call.data);
+    if (decoded.action === "unknown" || decoded.action === "malformed") {
+      callProblems.push(`cannot verify what it does: ${decoded.description}`);
+    }
+    if (decoded.owner && decoded.owner !== bundle.wallet) {
+      callProblems.push(`takes funds from ${decoded.owner}, not the Smart Account`);
+    }
+    const sweepApproval = bundle.sweep && decoded.action === "approve" && decoded.receiver === bundle.sweep.adapter;
+    if (decoded.receiver && bundle.destination && decoded.receiver !== bundle.destination && !sweepApproval) {
+      callProblems.push(`sends funds to ${decoded.receiver}, not the stated destination ${bundle.destination}`);
+    }
+
+    calls.push({ nonce, digest, signer, decoded, problems: callProblems });
+    problems.push(...callProblems.map((problem) => `Call ${i + 1}: ${problem}`));
+  }
+
+  if (bundle.sweep) {
+    problems.push(...checkSweepCalls(bundle.sweep, bundle.destination, bundle.calls));
+  }
+
+  const calldata = encodeFunctionData({ abi: controllerAbi, ...controllerExecution(bundle) });
+  const calldataMatches = bundle.calldata === null ? null : bundle.calldata.toLowerCase() === calldata.toLowerCase();
+  if (calldataMatches === false) {
+    problems.push(`${calldataLabel(bundle)} does not match the signed calls in the bundle. Do not paste it anywhere.`);
+  }
+
+  const profileController = CADMOS_PROFILES[String(bundle.chainId)]?.controller;
+  if (profileController && isAddress(profileController) && getAddress(profileController) !== bundle.controller) {
+    problems.push(`Controller ${bundle.controller} is not the profile controller ${getAddress(profileController)}.`);
+  }
+
+  return { ok: problems.length === 0, problems, calls, calldata, calldataMatches };
+}
+
+function calldataLabel(bundle) {
+  return bundle.sweep ? "executeRecoveryPlanCalldata" : "executeSignedCallsCalldata";
+}
+
+function describeSweep(sweep) {
+  return sweep
+    ? `Adapter sweep: ${sweep.functionName} through adapter ${sweep.adapter} (${sweep.tokens.length} token(s))\n`
+    : "";
+}
+
+function describeVerification(bundle, report) {
+  const calldataLine =
+    report.calldataMatches === null
+      ? "not in bundle (re-encoded from the calls)"
+      : report.calldataMatches
+        ? "matches the signed calls"
+        : "DOES NOT MATCH the signed calls";
+  const header =
+    `Bundle verification: ${report.ok ? "PASSED" : `FAILED (${report.problems.length} problem(s))`}\n` +
+    `Network: ${bundle.chainId}\n` +
+    `Controller: ${bundle.controller}\n` +
+    `Smart Account: ${bundle.wallet}\n` +
+    `Destination: ${bundle.destination ?? "not stated in bundle"}\n` +
+    `Start nonce: ${bundle.walletNonce ?? "not stated"}\n` +
+    `Continue on failure: ${bundle.continueOnFailure}\n` +
+    describeSweep(bundle.sweep) +
+    `${calldataLabel(bundle)}: ${calldataLine}\n\n`;
+
+  const lines = report.calls.map((check, i) => {
+    const call = bundle.calls[i];
+    return [
+      `${i + 1}. ${check.decoded.description}${check.decoded.receiver ? ` -> ${check.decoded.receiver}` : ""}`,
+      `   nonce ${check.nonce ?? "?"}, deadline ${new Date(Number(call.deadline) * 1000).toISOString()}`,
+      `   signer ${check.signer ?? "not recovered"} (signatory ${call.signatory})`,
+      `   EIP-712 digest: ${check.digest ?? "n/a"}`,
+      ...check.problems.map((problem) => `   PROBLEM: ${problem}`),
+    ].join("\n");
+  });
+
+  const bundleProblems = report.problems.filter((problem) => !problem.startsWith("Call "));
+  return header + lines.join("\n") + (bundleProblems.length ? `\n\n${bundleProblems.map((p) => `PROBLEM: ${p}`).join("\n")}` : "");
+}
+
+function decodeExecuteCalldata(calldata) {
+  const hex = calldata.trim();
+  if (!/^0x[0-9a-fA-F]*$/.test(hex) || hex.length < 10) throw new Error("Calldata must be a 0x-prefixed hex string.");
+  let decoded;
+  try {
+    decoded = decodeFunctionData({ abi: controllerAbi, data: hex });
+  } catch {
+    throw new Error(`Calldata is not a controller execution call (selector ${hex.slice(0, 10)}).`);
+  }
+  if (decoded.functionName === "adapter") {
+    throw new Error("Calldata is adapter(), not an execution call.");
+  }
+  if (decoded.functionName !== "executeSignedCalls") return decodeRecoveryPlanCalldata(decoded);
+  const [wallet, calls, continueOnFailure] = decoded.args;
+  return {
+    functionName: decoded.functionName,
+    wallet,
+    continueOnFailure,
+    calls: calls.map((call) => ({ ...call, decoded: decodeInnerCall(call.target, call.data) })),
+  };
+}
+
+// `executeRecoveryPlan*` calldata holds no steps, only the fields the controller builds them from:
+// approvals of its own adapter, then the adapter call, whose address the calldata does not contain.
+function decodeRecoveryPlanCalldata({ functionName, args: [plan] }) {
+  const adapter = "<controller adapter>";
+  const step = (i, target, decoded) => ({ target, signatory: plan.signatory, deadline: plan.deadlines[i] ?? 0n, decoded });
+  const calls = [plan.cadmosToken, ...plan.tokens].map((token, i) =>
+    step(i, token, {
+      action: "approve",
+      description: `approve(spender=${adapter}, amount=max) on token ${token}`,
+      receiver: null,
+      owner: null,
+    })
+  );
+  const recoverData =
+    functionName === "executeRecoveryPlanWithAmounts"
+      ? encodeFunctionData({
+          abi: adapterAbi,
+          functionName: "recoverWithAmounts",
+          args: [plan.destination, plan.cadmosToken, plan.cadmosAssetAmount, plan.tokens, plan.tokenAmounts],
+        })
+      : encodeFunctionData({ abi: adapterAbi, functionName: "recoverAll", args: [plan.destination, plan.cadmosToken, plan.tokens] });
+  calls.push(step(calls.length, adapter, decodeInnerCall(adapter, recoverData)));
+  return { functionName, wallet: plan.wallet, continueOnFailure: plan.continueOnFailure, calls };
+}
+
+// Every recipient that is not `expectedDestination` is flagged, as are calls that cannot be decoded.
+function describeDecodedCalldata(decoded, expectedDestination) {
+  let flagged = 0;
+  const lines = decoded.calls.map((call, i) => {
+    const flags = [];
+    if (call.decoded.action === "unknown" || call.decoded.action === "malformed") flags.push("cannot be decoded");
+    if (call.decoded.receiver && expectedDestination && call.decoded.receiver !== expectedDestination) {
+      flags.push(`recipient ${call.decoded.receiver} is NOT the expected destination`);
+    }
+    if (call.decoded.owner && call.decoded.owner !== decoded.wallet) flags.push(`takes funds from ${call.decoded.owner}`);
+    if (flags.length) flagged++;
+    return [
+      `${i + 1}. ${call.decoded.description}`,
+      `   target ${call.target}, signatory ${call.signatory}`,
+      `   deadline ${new Date(Number(call.deadline) * 1000).toISOString()}, recipient ${call.decoded.receiver ?? "none"}`,
+      ...flags.map((flag) => `   WARNING: ${flag}`),
+    ].join("\n");
+  });
+
+  return (
+    `${decoded.functionName} calldata: ${flagged === 0 ? "no warnings" : `${flagged} call(s) flagged`}\n` +
+    `Smart Account: ${decoded.wallet}\n` +
+    `Continue on failure: ${decoded.continueOnFailure}\n` +
+    `Expected destination: ${expectedDestination ?? "not set (recipients not checked)"}\n` +
+    `Inner calls: ${decoded.calls.length}\n\n` +
+    lines.join("\n")
+  );
+}
+
+// The destination typed in the decoder, else the generated plan's, else the recovery inputs.
+function expectedDestinationForDecoder() {
+  const typed = els.decodeDestinationInput.value.trim();
+  if (typed) return parseAddress("Expected destination", typed);
+  if (state.generated?.destination) return state.generated.destination;
+  for (const raw of [els.destinationInput.value, els.signatoryInput.value]) {
+    if (raw.trim()) return parseAddress("Expected destination", raw.trim());
+  }
+  return null;
+}
+
+function decodeCalldataFromPanel() {
+  const calldata =
+    els.decodeCalldataInput.value.trim() ||
+    state.generated?.executeRecoveryPlanCalldata ||
+    state.generated?.executeSignedCallsCalldata;
+  if (!calldata) throw new Error("Paste executeSignedCalls or executeRecoveryPlan calldata, or generate a plan first.");
+  setOutput(describeDecodedCalldata(decodeExecuteCalldata(calldata), expectedDestinationForDecoder()));
+}
+
+// Offline: needs no wallet connection, so a bundle can be checked before trusting anything about it.
+async function verifyBundleFromPanel() {
+  const bundle = parseImportedBundle(await readBundleSource(els.verifyFileInput, els.verifyTextInput));
+  setOutput(describeVerification(bundle, await verifyBundle(bundle)));
+}
+
+// Blocking checks against the connected network and live wallet state. Returns the live nonce.
+async function validateImportedBundle(publicClient, bundle) {
+  await enforceExpectedChain(publicClient);
+  if (bundle.chainId !== state.chainId) {
+    throw new Error(`Bundle is for chain ${bundle.chainId}, but the wallet is on ${state.chainId}.`);
+  }
+  if (!state.profile || state.profile.chainId !== state.chainId) {
+    state.profile = resolveProfile(state.chainId);
+    applyProfileToUI();
+  }
+  if (bundle.controller !== state.profile.controller) {
+    throw new Error(
+      `Bundle controller ${bundle.controller} does not match the profile controller ${state.profile.controller}.`
+    );
+  }
+
+  if (bundle.sweep) {
+    const adapter = await publicClient.readContract({ address: bundle.controller, abi: controllerAbi, functionName: "adapter" });
+    if (adapter !== bundle.sweep.adapter) {
+      throw new Error(`Bundle sweeps through ${bundle.sweep.adapter}, but the controller's adapter is ${adapter}. Do not broadcast it.`);
+    }
+  }
+
+  const liveNonce = await publicClient.readContract({
+    address: bundle.wallet,
+    abi: walletAbi,
+    functionName: "nonce",
+  });
+  const startNonce = bundle.walletNonce ?? liveNonce;
+  if (startNonce !== liveNonce) {
+    throw new Error(
+      `Bundle was signed for nonce ${startNonce}, but the Smart Account is at nonce ${liveNonce}. Ask for a fresh bundle.`
+    );
+  }
+
+  const report = await verifyBundle(bundle, startNonce);
+  if (!report.ok) {
+    throw new Error(`Bundle failed verification:\n- ${report.problems.join("\n- ")}`);
+  }
+  report.calls.forEach((check, i) => {
+    bundle.calls[i].digest = check.digest;
+  });
+
+  return liveNonce;
+}
+
+function describeImportedBundle(bundle, liveNonce) {
+  const soonest = bundle.calls.reduce((m, c) => (c.deadline < m ? c.deadline : m), bundle.calls[0].deadline);
+  return (
+    "Imported bundle is valid:\n" +
+    `Network: ${bundle.chainId}\n` +
+    `Controller: ${bundle.controller}\n` +
+    `Smart Account: ${bundle.wallet} (nonce ${liveNonce})\n` +
+    `Destination: ${bundle.destination ?? "not stated in bundle"}\n` +
+    `Signed calls: ${bundle.calls.length}\n` +
+    `Continue on failure: ${bundle.continueOnFailure}\n` +
+    describeSweep(bundle.sweep) +
+    `Earliest deadline: ${new Date(Number(soonest) * 1000).toISOString()}\n\n` +
+    bundle.calls
+      .map((c, i) => `${i + 1}. ${c.note || `${c.target} ${c.data.slice(0, 10)}`}\n   EIP-712 digest: ${c.digest}`)
+      .join("\n")
+  );
+}
+
+async function validateImport() {
+  if (!state.account) throw new Error("Connect a wallet first (any funded account can broadcast).");
+  const bundle = parseImportedBundle(await readBundleSource(els.importFileInput, els.importTextInput));
+  const { publicClient } = clients();
+  const liveNonce = await validateImportedBundle(publicClient, bundle);
+  state.importedBundle = bundle;
+  els.broadcastImportBtn.disabled = false;
+  setOutput(describeImportedBundle(bundle, liveNonce));
+}
+
+// Anyone may relay: the connected account only pays gas, the signatures authorize the calls.
+async function broadcastImport() {
+  if (!state.importedBundle) throw new Error("Validate a bundle first.");
+  const bundle = state.importedBundle;
+  const { publicClient, walletClient } = clients();
+  const liveNonce = await validateImportedBundle(publicClient, bundle);
+  await refuseSignedNonceGap(publicClient, bundle);
+
+  const funding = await checkSignatoryFunding(publicClient, await estimateBatchGas(publicClient, bundle), bundle.calls.length);
+
+  setOutput(
+    `Broadcasting ${bundle.calls.length} signed call(s) from ${state.account}.\n` +
+      `${funding.summary}\n` +
+      "Please confirm the transaction in wallet..."
+  );
+  const hash = await walletClient.writeContract({
+    account: state.account,
+    address: bundle.controller,
+    abi: controllerAbi,
+    ...controllerExecution(bundle),
+  });
+
+  setOutput(`Transaction sent: ${hash}\nWaiting for confirmation...`);
+  const receipt = await publicClient.waitForTransactionReceipt({ hash });
+  const events = decodeWalletCallEvents(receipt, bundle.controller);
+
+  state.importedBundle = null;
+  els.broadcastImportBtn.disabled = true;
+
+  const results = bundle.calls.map((call, i) => ({
+    step: i,
+    note: call.note || `${call.target} ${call.data.slice(0, 10)}`,
+    nonce: (liveNonce + BigInt(i)).toString(),
+    txHash: hash,
+    txStatus: receipt.status,
+    callSuccess: events.get(i)?.success ?? false,
+    returnData: events.get(i)?.returnData ?? "0x",
+  }));
+  results.push(...adapterResultRows(bundle, receipt, hash));
+  renderResultsTable(results);
+  setOutput(
+    JSON.stringify(
+      {
+        chainId: bundle.chainId,
+        wallet: bundle.wallet,
+        broadcaster: state.account,
+        gasEstimate: funding.summary,
+        txHash: hash,
+        txStatus: receipt.status,
+        results,
+      },
+      null,
+      2
+    )
+  );
+}
+
+/**
+ * Hands the bundle to a sponsor relay (the profile's `relayUrl`, default same-origin `/relay`), which
+ * pays gas from its own key. Needs no wallet: the bundle is verified offline first, and the relay
+ * re-checks it against live state before submitting.
+ */
+async function sendImportToRelay() {
+  const bundle = parseImportedBundle(await readBundleSource(els.importFileInput, els.importTextInput));
+  const profile = resolveProfile(bundle.chainId);
+  if (bundle.sweep) {
+    throw new Error("The relay only sponsors executeSignedCalls bundles. Broadcast an adapter sweep from a funded account.");
+  }
+  const report = await verifyBundle(bundle);
+  if (!report.ok) {
+    throw new Error(`Bundle failed verification:\n- ${report.problems.join("\n- ")}`);
+  }
+  if (!window.confirm(`Send ${bundle.calls.length} signed call(s) to the relay at ${profile.relayUrl}?`)) return;
+
+  setOutput(`Sending bundle to ${profile.relayUrl}...`);
+  let response;
+  try {
+    response = await fetch(profile.relayUrl, {
+      method: "POST",
+      headers: { "content-type": "application/json" },
+      body: JSON.stringify({
+        chainId: bundle.chainId,
+        controller: bundle.controller,
+        wallet: bundle.wallet,
+        continueOnFailure: bundle.continueOnFailure,
+        calls: bundle.calls.map((c) => ({
+          target: c.target,
+          signatory: c.signatory,
+          data: c.data,
+          signature: c.signature,
+          deadline: c.deadline.toString(),
+        })),
+      }),
+    });
+  } catch {
+    throw new Error(`Relay at ${profile.relayUrl} is unreachable. Broadcast the bundle from a funded account instead.`);
+  }
+  const body = await response.json().catch(() => null);
+  if (!response.ok || !body?.txHash) {
+    throw new Error(
+      `Relay refused the bundle (HTTP ${response.status}): ${(body?.error ?? "no relay at this address").replace(/\.$/, "")}. ` +
+        "Broadcast it from a funded account instead."
+    );
+  }
+
+  const explorer = profile.blockExplorer ? `${profile.blockExplorer.url.replace(/\/$/, "")}/tx/${body.txHash}` : null;
+  setOutput(
+    JSON.stringify(
+      {
+        chainId: bundle.chainId,
+        wallet: bundle.wallet,
+        relayer: body.relayer,
+        txHash: body.txHash,
+        explorer,
+        predicted: body.predicted,
+        note: "Submitted by the relay. Check the transaction on the explorer; it has not been confirmed here.",
+      },
+      null,
+      2
+    )
+  );
+}
+
+async function copyJson() {
+  const bundle = await ensureGenerated();
+  const payload = serializeBundle(bundle);
 
   await navigator.clipboard.writeText(JSON.stringify(payload, null, 2));
   setOutput("Copied plan (JSON) to clipboard.");
 }
 
+function encodeShareLink(payload) {
+  const bytes = new TextEncoder().encode(JSON.stringify(payload));
+  let binary = "";
+  for (const byte of bytes) binary += String.fromCharCode(byte);
+  const encoded = btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+  return `${location.origin}${location.pathname}#${SHARE_LINK_PREFIX}${encoded}`;
+}
+
+function decodeShareLinkHash(hash) {
+  const encoded = hash.replace(/^#/, "").slice(SHARE_LINK_PREFIX.length);
+  const binary = atob(encoded.replace(/-/g, "+").replace(/_/g, "/"));
+  return new TextDecoder().decode(Uint8Array.from(binary, (c) => c.charCodeAt(0)));
+}
+
+// The link carries the signed bundle in the URL fragment, which browsers never send to the server.
+async function copyShareLink() {
+  const bundle = await ensureGenerated();
+  await navigator.clipboard.writeText(encodeShareLink(serializeBundle(bundle)));
+  setOutput(
+    "Copied share link. Whoever opens it can validate the bundle and broadcast it (or send it to a relay) " +
+      "from their own account; they pay gas, the signatures decide what happens. " +
+      `The link stops working at the earliest deadline or once the Smart Account nonce moves past ${bundle.walletNonce}.`
+  );
+}
+
+function loadBundleFromLink() {
+  if (!location.hash.startsWith(`#${SHARE_LINK_PREFIX}`)) return;
+  try {
+    const raw = decodeShareLinkHash(location.hash);
+    parseImportedBundle(raw);
+    els.importTextInput.value = JSON.stringify(JSON.parse(raw), null, 2);
+    setOutput(
+      "Loaded a signed bundle from the link into Import Signed Bundle.\n" +
+        "Check it with Verify Bundle first, then validate and broadcast it, or send it to the relay."
+    );
+  } catch (error) {
+    const message = error instanceof Error ? error.message : String(error);
+    setOutput(`Error: the bundle in this link could not be read: ${message}`);
+  }
+}
+
 async function copyCalldata() {
   const bundle = await ensureGenerated();
-  await navigator.clipboard.writeText(bundle.executeSignedCallsCalldata);
-  setOutput("Copied calldata for manual execution.");
+  const calldata = bundle.executeRecoveryPlanCalldata ?? bundle.executeSignedCallsCalldata;
+  await navigator.clipboard.writeText(calldata);
+  setOutput(
+    "Copied calldata for manual execution. Before submitting, check that what you paste decodes to:\n\n" +
+      describeDecodedCalldata(decodeExecuteCalldata(calldata), bundle.destination)
+  );
 }
 
 async function downloadJson() {
   const bundle = await ensureGenerated();
-
-  const payload = {
-    chainId: bundle.chainId,
-    controller: bundle.controller,
-    wallet: bundle.wallet,
-    destination: bundle.destination,
-    continueOnFailure: bundle.continueOnFailure,
-    mode: bundle.mode,
-    walletNonce: bundle.walletNonce.toString(),
-    callPlanNotes: bundle.callPlanNotes,
-    calls: bundle.calls.map((c) => ({
-      target: c.target,
-      signatory: c.signatory,
-      data: c.data,
-      signature: c.signature,
-      deadline: c.deadline.toString(),
-      nonce: c.nonce.toString(),
-      note: c.note,
-    })),
-    executeSignedCallsCalldata: bundle.executeSignedCallsCalldata,
-  };
+  const payload = serializeBundle(bundle);
 
   const blob = new Blob([JSON.stringify(payload, null, 2)], { type: "application/json" });
   const now = new Date().toISOString().replace(/[:.]/g, "-");
@@ -954,11 +2747,18 @@ function withErrors(fn) {
 function bindPersistence() {
   const fields = [
     els.walletInput,
+    els.destinationInput,
     els.deadlineInput,
     els.modeInput,
     els.continueOnFailureInput,
+    els.executionModeInput,
     els.includeRedeemFallbackInput,
     els.extraTokensInput,
+    els.discoverTokensInput,
+    els.nftsInput,
+    els.discoverNftsInput,
+    els.discoveryFromBlockInput,
+    els.revokeAllowancesInput,
     els.cadmosManualAmountInput,
     els.tokenOverridesInput,
   ];
@@ -970,6 +2770,8 @@ function bindPersistence() {
 }
 
 restoreInputs();
+populateChainSelect();
+refreshResumePanel();
 toggleManualSection();
 bindPersistence();
 syncRecoverButtonState();
@@ -979,12 +2781,47 @@ els.modeInput.addEventListener("change", () => {
   persistInputs();
 });
 els.confirmReviewInput.addEventListener("change", syncRecoverButtonState);
+els.chainSelect.addEventListener("change", () => {
+  state.selectedChainId = parseChainIdValue(els.chainSelect.value);
+  persistInputs();
+  clearGeneratedState();
+  refreshResumePanel();
+  if (!state.account) return;
+  withErrors(async () => {
+    await switchWalletChain(state.selectedChainId);
+  })();
+});
 
 els.connectBtn.addEventListener("click", withErrors(connectWallet));
+els.findWalletsBtn.addEventListener("click", withErrors(findSmartAccounts));
 els.scanBtn.addEventListener("click", withErrors(scanPlan));
+els.dropFailuresBtn.addEventListener("click", withErrors(dropPredictedFailures));
+els.walletInput.addEventListener("change", () => {
+  state.droppedSteps.clear();
+  refreshResumePanel();
+});
+els.resumeBtn.addEventListener("click", withErrors(resumeRecovery));
+els.verifyBundleBtn.addEventListener("click", withErrors(verifyBundleFromPanel));
+els.decodeCalldataBtn.addEventListener("click", withErrors(decodeCalldataFromPanel));
+els.validateImportBtn.addEventListener("click", withErrors(validateImport));
+els.broadcastImportBtn.addEventListener("click", withErrors(broadcastImport));
+els.relayImportBtn.addEventListener("click", withErrors(sendImportToRelay));
+for (const field of [els.importFileInput, els.importTextInput]) {
+  field.addEventListener("change", () => {
+    state.importedBundle = null;
+    els.broadcastImportBtn.disabled = true;
+  });
+}
+els.discardJournalBtn.addEventListener("click", () => {
+  if (window.confirm("Discard the unfinished recovery journal? This cannot be undone.")) discardJournal();
+});
+els.cancelDiscoveryBtn.addEventListener("click", () => {
+  state.discoveryCancelled = true;
+});
 els.recoverBtn.addEventListener("click", withErrors(recoverNow));
 els.copyJsonBtn.addEventListener("click", withErrors(copyJson));
 els.downloadJsonBtn.addEventListener("click", withErrors(downloadJson));
+els.copyShareLinkBtn.addEventListener("click", withErrors(copyShareLink));
 els.copyCalldataBtn.addEventListener("click", withErrors(copyCalldata));
 
 if (window.ethereum?.on) {
@@ -997,7 +2834,13 @@ if (window.ethereum?.on) {
     }
 
     clearGeneratedState();
-    if (state.chainId === DEFAULT_CHAIN_ID) {
+    state.droppedSteps.clear();
+    renderWalletCandidates([]);
+    if (state.chainId !== null && CADMOS_PROFILES[String(state.chainId)]) {
+      state.selectedChainId = state.chainId;
+      els.chainSelect.value = String(state.chainId);
+      persistInputs();
+      refreshResumePanel();
       try {
         state.profile = resolveProfile(state.chainId);
         applyProfileToUI();
@@ -1009,7 +2852,11 @@ if (window.ethereum?.on) {
         setChainWarning(`Stop: ${message}`);
       }
     } else {
-      setChainWarning("Stop: wallet network does not match Arbitrum One (42161). Switch network before proceeding.");
+      state.profile = null;
+      applyProfileToUI();
+      setChainWarning(
+        `Stop: wallet network ${state.chainId ?? "unknown"} has no recovery profile. Switch to ${selectedChainLabel()} before proceeding.`
+      );
     }
     updateChainBadge();
     syncRecoverButtonState();
@@ -1017,6 +2864,8 @@ if (window.ethereum?.on) {
 
   window.ethereum.on("accountsChanged", (accounts) => {
     clearGeneratedState();
+    state.droppedSteps.clear();
+    renderWalletCandidates([]);
     if (!accounts || accounts.length === 0) {
       state.account = null;
       state.chainId = null;
@@ -1039,3 +2888,4 @@ if (window.ethereum?.on) {
 }
 
 setOutput(DEFAULT_OUTPUT_MESSAGE);
+loadBundleFromLink();
@@ -1,9 +1,37 @@
 // Fill with production addresses before release.
+// Keys are decimal chain IDs. Every chain listed here is selectable in the recovery UI.
 export const CADMOS_PROFILES = {
   "42161": {
     chainName: "Arbitrum One",
+    nativeCurrency: { name: "Ether", symbol: "ETH", decimals: 18 },
+    rpcUrls: ["https://arb1.arbitrum.io/rpc"],
+    blockExplorer: { name: "Arbiscan", url: "https://arbiscan.io" },
     controller: "0xEd092dE12cD5c2CbfDE051b42Fad5d27567DF01d",
     cadmosToken: "0x5449C9576f42eBBCA54e984c40597a1197267079",
+    // keccak256 of the runtime code of Cadmos UserWallet implementations. A Smart Account matches when its
+    // own code does, or when it is an EIP-1167 clone or EIP-1967 proxy of one. Empty skips the check, and
+    // every plan then carries a "Smart Account code NOT verified" warning; the relay refuses the chain.
+    walletCodeHashes: [],
+    // UserWallet view that tells whether an address may sign Requests, as a human-readable signature taking
+    // the address and returning bool. Copy it from the verified UserWallet source; empty skips the check
+    // with a "Signatory NOT verified" warning.
+    signatoryView: "",
+    // "Find my Smart Account": the UserWallet factory, the block it was deployed at, the event it emits per
+    // new wallet (with `wallet` and an indexed `signatory` argument) and the event a UserWallet emits when a
+    // signatory is added (indexed `signatory`). An empty address turns the lookup off.
+    walletFactory: {
+      address: "",
+      fromBlock: 0,
+      createdEvent: "event WalletCreated(address indexed wallet, address indexed signatory)",
+      signatoryAddedEvent: "event SignatoryAdded(address indexed signatory)",
+    },
+    // Token discovery: first block to scan for Transfer logs, and max blocks per eth_getLogs request.
+    discoveryFromBlock: 0,
+    logChunkSize: 10000,
+    // Optional: Multicall3 used to batch balance reads. Defaults to the canonical
+    // 0xcA11bde05977b3631167028862bE2a173976CA11; set to null to force individual reads.
+    // multicall3: "0xcA11bde05977b3631167028862bE2a173976CA11",
+    // Optional `vault: true|false` marks an ERC-4626 vault (or not) explicitly; omitted, it is probed on-chain.
     knownTokens: [
       { symbol: "USDT", address: "0xFd086bC7CD5C481DCC9C85ebE478A1C0b69FCbb9" },
       { symbol: "USDC", address: "0xaf88d065e77c8cC2239327C5EDb3A432268e5831" },
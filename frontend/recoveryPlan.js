@@ -0,0 +1,1224 @@
+/**
+ * Plan building, EIP-712 `Request` construction and bundle serialization shared by the frontend (`app.js`)
+ * and `scripts/generateRecoveryPayloads.ts`, so the two tools build the same steps from the same inputs
+ * and write the same bundle JSON.
+ *
+ * Nothing here touches the DOM, `window` or Node APIs. Chain reads go through the `client` argument:
+ * anything with viem's PublicClient read methods (`readContract`, `multicall`, `getCode`, `getStorageAt`,
+ * `getBalance`, `call`, `simulateContract`) works, including a mock in a unit test. Signing goes through a
+ * `signTypedData` callback.
+ */
+import {
+  decodeEventLog,
+  encodeFunctionData,
+  formatUnits,
+  getAddress,
+  hashTypedData,
+  keccak256,
+  maxUint256,
+  parseAbi,
+  parseAbiItem,
+  parseUnits,
+} from "viem";
+
+export const walletAbi = parseAbi([
+  "function nonce() view returns (uint256)",
+  "function eip712Domain() view returns (bytes1 fields, string name, string version, uint256 chainId, address verifyingContract, bytes32 salt, uint256[] extensions)",
+]);
+
+export const controllerAbi = parseAbi([
+  "function adapter() view returns (address)",
+  "function signingDomainName() view returns (string)",
+  "function signingDomainVersion() view returns (string)",
+  "function signingRequestType() view returns (string)",
+  "function executeRecoveryPlan((address wallet,address signatory,address cadmosToken,address destination,address[] tokens,bytes[] signatures,uint256[] deadlines,bool continueOnFailure) plan) returns (bool[] successes, bytes[] returnData)",
+  "function executeRecoveryPlanWithAmounts((address wallet,address signatory,address cadmosToken,address destination,uint256 cadmosAssetAmount,address[] tokens,uint256[] tokenAmounts,bytes[] signatures,uint256[] deadlines,bool continueOnFailure) plan) returns (bool[] successes, bytes[] returnData)",
+  "function executeSignedCalls(address wallet, (address target,address signatory,bytes data,bytes signature,uint256 deadline)[] calls, bool continueOnFailure) returns (bool[] successes, bytes[] returnData)",
+  "event WalletCallExecuted(uint256 indexed index,address indexed wallet,address indexed target,bool success,bytes returnData)",
+]);
+
+// The controller's immutable adapter. It pulls from the calling wallet with the approvals signed before it
+// and reads `maxWithdraw`/`balanceOf` when it runs; a cap of 0 means the full balance.
+export const adapterAbi = parseAbi([
+  "function recoverAll(address destination, address cadmosToken, address[] tokens) returns (bool cadmosSuccess)",
+  "function recoverWithAmounts(address destination, address cadmosToken, uint256 cadmosAssetAmount, address[] tokens, uint256[] tokenAmounts) returns (bool cadmosSuccess)",
+  "event CadmosRecoveryResult(address indexed wallet, address indexed cadmosToken, address indexed destination, uint8 mode, uint256 requestedAmount, uint256 attemptedAmount, bool success, bytes returnData)",
+  "event ERC20RecoveryResult(address indexed wallet, address indexed token, address indexed destination, uint256 walletBalance, uint256 requestedAmount, uint256 attemptedAmount, bool success, bytes returnData)",
+]);
+
+export const erc20Abi = parseAbi([
+  "function balanceOf(address owner) view returns (uint256)",
+  "function transfer(address to, uint256 amount) returns (bool)",
+  "function approve(address spender, uint256 amount) returns (bool)",
+  "function allowance(address owner, address spender) view returns (uint256)",
+  "function symbol() view returns (string)",
+  "function decimals() view returns (uint8)",
+]);
+
+export const cadmosAbi = parseAbi([
+  "function maxWithdraw(address owner) view returns (uint256)",
+  "function maxRedeem(address owner) view returns (uint256)",
+  "function withdraw(uint256 assets, address receiver, address owner) returns (uint256)",
+  "function redeem(uint256 shares, address receiver, address owner) returns (uint256)",
+  "function asset() view returns (address)",
+]);
+
+// Probed on every planned token: a readable `asset()` plus `convertToAssets` marks an ERC-4626 vault.
+export const erc4626Abi = parseAbi([
+  "function asset() view returns (address)",
+  "function convertToAssets(uint256 shares) view returns (uint256)",
+  "function previewRedeem(uint256 shares) view returns (uint256)",
+  "function redeem(uint256 shares, address receiver, address owner) returns (uint256)",
+]);
+
+export const erc721Abi = parseAbi([
+  "function ownerOf(uint256 tokenId) view returns (address)",
+  "function safeTransferFrom(address from, address to, uint256 tokenId)",
+  "function supportsInterface(bytes4 interfaceId) view returns (bool)",
+]);
+
+export const erc1155Abi = parseAbi([
+  "function balanceOf(address account, uint256 id) view returns (uint256)",
+  "function safeTransferFrom(address from, address to, uint256 id, uint256 amount, bytes data)",
+]);
+
+export const transferEvent = parseAbiItem("event Transfer(address indexed from, address indexed to, uint256 value)");
+export const transferSingleEvent = parseAbiItem(
+  "event TransferSingle(address indexed operator, address indexed from, address indexed to, uint256 id, uint256 value)"
+);
+export const transferBatchEvent = parseAbiItem(
+  "event TransferBatch(address indexed operator, address indexed from, address indexed to, uint256[] ids, uint256[] values)"
+);
+
+// ERC-721 `Approval` has the same signature with `tokenId` indexed, so only three-topic logs are ERC-20.
+export const approvalEvent = parseAbiItem(
+  "event Approval(address indexed owner, address indexed spender, uint256 value)"
+);
+
+export const SELECTOR_WITHDRAW = "0xb460af94";
+export const SELECTOR_REDEEM = "0xba087652";
+export const SELECTOR_TRANSFER = "0xa9059cbb";
+export const SELECTOR_APPROVE = "0x095ea7b3";
+export const SELECTOR_ERC721_SAFE_TRANSFER = "0x42842e0e";
+export const SELECTOR_ERC1155_SAFE_TRANSFER = "0xf242432a";
+export const SELECTOR_RECOVER_ALL = "0x2e00f519";
+export const SELECTOR_RECOVER_WITH_AMOUNTS = "0x08377b7f";
+export const ERC721_INTERFACE_ID = "0x80ac58cd";
+export const ERC1155_INTERFACE_ID = "0xd9b67a26";
+// What every Request is signed for; `checkWalletSetup` compares it with the controller's signing views.
+export const REQUEST_DOMAIN = { name: "Cadmos UserWallet", version: "1" };
+export const REQUEST_TYPE = "Request(address target,uint256 value,uint256 deadline,uint256 nonce,bytes data)";
+const EIP1967_IMPLEMENTATION_SLOT = "0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc";
+const EIP1167_PATTERN = /^0x363d3d373d3d3d363d73([0-9a-f]{40})5af43d82803e903d91602b57fd5bf3$/i;
+export const DEFAULT_MULTICALL3_ADDRESS = "0xcA11bde05977b3631167028862bE2a173976CA11";
+const MULTICALL_CHUNK_SIZE = 100;
+
+// `standard` recovers everything; `manual` applies the Cadmos amount and per-token caps. The script's
+// original names are still accepted so existing config files keep working.
+export const PLAN_MODES = ["standard", "manual"];
+const MODE_ALIASES = { all: "standard", withAmounts: "manual" };
+
+export function normalizeMode(mode) {
+  const normalized = MODE_ALIASES[mode] ?? mode;
+  if (!PLAN_MODES.includes(normalized)) {
+    throw new Error(`Unknown mode ${mode} (expected "standard" or "manual")`);
+  }
+  return normalized;
+}
+
+export function min(a, b) {
+  return a < b ? a : b;
+}
+
+export function formatAmount(raw, decimals, symbol) {
+  const label = symbol || "";
+  if (decimals === null || decimals === undefined) {
+    return `${raw.toString()} base units${label ? ` ${label}` : ""}`;
+  }
+  return `${formatUnits(raw, decimals)}${label ? ` ${label}` : ""}`;
+}
+
+// Integers are base units; amounts with a decimal point are whole tokens, converted with `decimals`.
+export function parseAmount(label, text, decimals) {
+  if (!/^\d+(\.\d+)?$/.test(text)) {
+    throw new Error(`Invalid amount for ${label}: ${text}`);
+  }
+  if (!text.includes(".")) {
+    return BigInt(text);
+  }
+  if (decimals === null || decimals === undefined) {
+    throw new Error(`Cannot convert decimal amount ${text} for ${label}: decimals() unavailable. Use base units.`);
+  }
+  const [, fraction] = text.split(".");
+  if (fraction.length > decimals) {
+    throw new Error(`Amount ${text} for ${label} has more than ${decimals} decimals.`);
+  }
+  return parseUnits(text, decimals);
+}
+
+export async function safeRead(fn, fallback) {
+  try {
+    return await fn();
+  } catch {
+    return fallback;
+  }
+}
+
+/**
+ * Reads many view functions at once. Each request is `{ address, abi, functionName, args, fallback }`;
+ * a request that fails resolves to its `fallback`, exactly like `safeRead`.
+ * Uses Multicall3 in chunks when `multicallAddress` has code, otherwise parallel `readContract`s.
+ */
+export async function batchRead(client, multicallAddress, requests) {
+  if (requests.length === 0) return [];
+
+  const code = multicallAddress
+    ? await safeRead(() => client.getCode({ address: multicallAddress }), undefined)
+    : undefined;
+
+  if (!code || code === "0x") {
+    return Promise.all(
+      requests.map(({ fallback, ...request }) => safeRead(() => client.readContract(request), fallback))
+    );
+  }
+
+  const values = [];
+  for (let i = 0; i < requests.length; i += MULTICALL_CHUNK_SIZE) {
+    const chunk = requests.slice(i, i + MULTICALL_CHUNK_SIZE);
+    const results = await safeRead(
+      () =>
+        client.multicall({
+          contracts: chunk.map(({ fallback, ...request }) => request),
+          allowFailure: true,
+          multicallAddress,
+        }),
+      null
+    );
+
+    for (let j = 0; j < chunk.length; j++) {
+      const result = results?.[j];
+      values.push(result?.status === "success" ? result.result : chunk[j].fallback);
+    }
+  }
+  return values;
+}
+
+export function describeRevert(error) {
+  let current = error;
+  while (current) {
+    if (current.reason) return current.reason;
+    if (current.shortMessage && current.shortMessage !== "Execution reverted.") return current.shortMessage;
+    current = current.cause;
+  }
+  return error instanceof Error ? error.message.split("\n")[0] : String(error);
+}
+
+/**
+ * Dry-runs each planned call with `eth_call` exactly as `UserWallet.call` would send it: from the wallet,
+ * to the target, with the same data. Calls are simulated independently against the latest state, so
+ * steps that depend on the ones before them (an adapter sweep) need `simulateExecution` once signed.
+ * Some RPCs refuse `eth_call` from an address that has code, so on such an error the call is retried
+ * with a state override that blanks the wallet's code for the duration of the simulation.
+ * `onProgress(i, call)` runs before each call.
+ */
+export async function simulateCalls(client, wallet, calls, onProgress) {
+  const simulations = [];
+
+  for (let i = 0; i < calls.length; i++) {
+    const call = calls[i];
+    onProgress?.(i, call);
+
+    const request = { account: wallet, to: call.target, data: call.data, value: 0n };
+    let result;
+    try {
+      try {
+        result = await client.call(request);
+      } catch (error) {
+        if (!/sender|eoa|code/i.test(describeRevert(error))) throw error;
+        result = await client.call({ ...request, stateOverride: [{ address: wallet, code: "0x" }] });
+      }
+    } catch (error) {
+      simulations.push({ ok: false, reason: describeRevert(error) });
+      continue;
+    }
+
+    // ERC-20 `transfer` may signal failure by returning false instead of reverting.
+    if (result.data && /^0x0{64}$/.test(result.data) && call.data.startsWith(SELECTOR_TRANSFER)) {
+      simulations.push({ ok: false, reason: "transfer returned false" });
+      continue;
+    }
+    simulations.push({ ok: true, reason: "" });
+  }
+
+  return simulations;
+}
+
+export function simulationLabel(simulation) {
+  if (!simulation) return "not simulated";
+  return simulation.ok ? "will succeed" : `will revert (${simulation.reason})`;
+}
+
+export function formatVaultPreview(vault) {
+  if (vault.preview === null) return "unavailable";
+  return formatAmount(vault.preview, vault.assetDecimals, vault.assetSymbol || "underlying");
+}
+
+/**
+ * Underlying asset and `previewRedeem(amount)` for each ERC-4626 vault in the plan, plus how it is handled
+ * (`vaultHandling` by lowercase address, default "transfer"). A failed preview reads as null.
+ */
+async function readVaultPreviews(client, multicallAddress, entries, vaultHandling) {
+  const reads = await batchRead(
+    client,
+    multicallAddress,
+    entries.flatMap(({ token, amount, vaultAsset }) => [
+      { address: token, abi: erc4626Abi, functionName: "previewRedeem", args: [amount], fallback: null },
+      { address: vaultAsset ?? token, abi: erc20Abi, functionName: "symbol", fallback: null },
+      { address: vaultAsset ?? token, abi: erc20Abi, functionName: "decimals", fallback: null },
+    ])
+  );
+
+  const vaults = new Map();
+  entries.forEach(({ token, vaultAsset }, i) => {
+    const [preview, assetSymbol, assetDecimals] = reads.slice(i * 3, i * 3 + 3);
+    vaults.set(token, {
+      handling: vaultHandling.get(token.toLowerCase()) ?? "transfer",
+      asset: vaultAsset,
+      assetSymbol: vaultAsset ? assetSymbol : null,
+      assetDecimals: vaultAsset ? assetDecimals : null,
+      preview,
+    });
+  });
+  return vaults;
+}
+
+function sourceSuffix(source) {
+  return source ? ` source=${source}` : "";
+}
+
+/**
+ * Turns collection+tokenId pairs into `safeTransferFrom(wallet, destination, ...)` steps. The standard is
+ * read from ERC-165 `supportsInterface`; ownership from `ownerOf` (ERC-721) or `balanceOf(wallet, id)`
+ * (ERC-1155, which moves the whole balance). Items the wallet does not hold are listed in `skipped`.
+ */
+export async function planNftTransfers(client, multicallAddress, wallet, destination, nfts, deadline) {
+  const result = { calls: [], assets: [], skipped: [] };
+  if (nfts.length === 0) return result;
+
+  const collections = [...new Set(nfts.map((nft) => nft.collection))];
+  const collectionReads = await batchRead(
+    client,
+    multicallAddress,
+    collections.flatMap((collection) => [
+      { address: collection, abi: erc721Abi, functionName: "supportsInterface", args: [ERC721_INTERFACE_ID], fallback: false },
+      { address: collection, abi: erc721Abi, functionName: "supportsInterface", args: [ERC1155_INTERFACE_ID], fallback: false },
+      { address: collection, abi: erc20Abi, functionName: "symbol", fallback: null },
+    ])
+  );
+  const info = new Map(
+    collections.map((collection, i) => {
+      const [is721, is1155, symbol] = collectionReads.slice(i * 3, i * 3 + 3);
+      return [collection, { standard: is721 ? "ERC-721" : is1155 ? "ERC-1155" : null, symbol }];
+    })
+  );
+
+  const ownership = await batchRead(
+    client,
+    multicallAddress,
+    nfts.map(({ collection, tokenId }) =>
+      info.get(collection).standard === "ERC-1155"
+        ? { address: collection, abi: erc1155Abi, functionName: "balanceOf", args: [wallet, tokenId], fallback: 0n }
+        : { address: collection, abi: erc721Abi, functionName: "ownerOf", args: [tokenId], fallback: null }
+    )
+  );
+
+  for (let i = 0; i < nfts.length; i++) {
+    const { collection, tokenId, source } = nfts[i];
+    const { standard, symbol } = info.get(collection);
+    const label = `${symbol || collection} #${tokenId}`;
+
+    if (!standard) {
+      result.skipped.push(`nft skipped (neither ERC-721 nor ERC-1155): ${label} collection=${collection}`);
+      continue;
+    }
+
+    let amount;
+    let data;
+    if (standard === "ERC-721") {
+      if (ownership[i]?.toLowerCase() !== wallet.toLowerCase()) {
+        result.skipped.push(`nft skipped (not owned by wallet): ${label} collection=${collection}`);
+        continue;
+      }
+      amount = 1n;
+      data = encodeFunctionData({ abi: erc721Abi, functionName: "safeTransferFrom", args: [wallet, destination, tokenId] });
+    } else {
+      amount = ownership[i];
+      if (amount === 0n) {
+        result.skipped.push(`nft skipped (zero balance): ${label} collection=${collection}`);
+        continue;
+      }
+      data = encodeFunctionData({
+        abi: erc1155Abi,
+        functionName: "safeTransferFrom",
+        args: [wallet, destination, tokenId, amount, "0x"],
+      });
+    }
+
+    result.calls.push({
+      target: collection,
+      data,
+      deadline,
+      note:
+        `nft.safeTransferFrom ${standard} ${label} collection=${collection} tokenId=${tokenId} amount=${amount}` +
+        sourceSuffix(source),
+    });
+    result.assets.push({
+      action: `safeTransferFrom (${standard} #${tokenId})`,
+      symbol: symbol || "NFT",
+      address: collection,
+      amount,
+      decimals: 0,
+      source,
+    });
+  }
+  return result;
+}
+
+/**
+ * Turns token+spender pairs into `approve(spender, 0)` steps for every allowance the wallet still grants.
+ * Pairs usually come from `Approval` logs, which say nothing about the current allowance, so each one is
+ * read with `allowance(wallet, spender)` and zero allowances are left out. `skipped` gets one summary note.
+ */
+export async function planAllowanceRevocations(client, multicallAddress, wallet, allowances, deadline) {
+  const result = { calls: [], assets: [], skipped: [] };
+  const pairs = [...new Map(allowances.map((a) => [`${a.token}:${a.spender}`.toLowerCase(), a])).values()];
+  if (pairs.length === 0) return result;
+
+  const tokens = [...new Set(pairs.map((pair) => pair.token))];
+  const reads = await batchRead(client, multicallAddress, [
+    ...pairs.map(({ token, spender }) => ({
+      address: token,
+      abi: erc20Abi,
+      functionName: "allowance",
+      args: [wallet, spender],
+      fallback: 0n,
+    })),
+    ...tokens.flatMap((token) => [
+      { address: token, abi: erc20Abi, functionName: "symbol", fallback: null },
+      { address: token, abi: erc20Abi, functionName: "decimals", fallback: null },
+    ]),
+  ]);
+  const info = new Map(
+    tokens.map((token, i) => [token, { symbol: reads[pairs.length + i * 2], decimals: reads[pairs.length + i * 2 + 1] }])
+  );
+
+  for (let i = 0; i < pairs.length; i++) {
+    const { token, spender, source } = pairs[i];
+    const allowance = reads[i];
+    if (allowance === 0n) continue;
+
+    const { symbol, decimals } = info.get(token);
+    const amount = allowance === maxUint256 ? "unlimited" : formatAmount(allowance, decimals, symbol);
+    result.calls.push({
+      target: token,
+      data: encodeFunctionData({ abi: erc20Abi, functionName: "approve", args: [spender, 0n] }),
+      deadline,
+      note: `token.approve revoke spender=${spender} allowance=${amount} token=${token}` + sourceSuffix(source),
+    });
+    result.assets.push({
+      action: `revoke approval (${spender})`,
+      symbol: symbol || "UNKNOWN",
+      address: token,
+      amount: allowance,
+      decimals,
+      source,
+    });
+  }
+  result.skipped.push(`allowances checked=${pairs.length} active=${result.calls.length}`);
+  return result;
+}
+
+/**
+ * Reads live state and builds the unsigned steps in their signing order: Cadmos `withdraw`, the optional
+ * `redeem` fallback, one `transfer` (or ERC-4626 `redeem`) per token with a balance, NFT transfers, then
+ * allowance revocations, so revoking never shifts the nonces of the steps that move assets.
+ *
+ * `options`:
+ * - `wallet`, `destination`, `cadmosToken`, `deadline` (unix seconds)
+ * - `mode`: "standard" or "manual" (aliases accepted); `includeRedeemFallback` applies to standard only
+ * - `signedUpFront`: every step is signed before any runs, so they execute in one `executeSignedCalls`.
+ *   The `redeem` fallback is then left out whenever `withdraw` is planned: it reverts once `withdraw`
+ *   succeeds, and see `firstNonceGap` for what one failed call does to the rest of the batch
+ * - `cadmosAmount`: manual only, caps the withdraw; 0n withdraws `maxWithdraw`
+ * - `tokens`: `[{ address, source?, vault? }]`; `vault: true|false` overrides on-chain vault detection
+ * - `caps`: manual only, Map of lowercase token address to amount text; "0" means no cap
+ * - `vaultHandling`: Map of lowercase vault address to "transfer" (default) or "redeem"
+ * - `nfts`: `[{ collection, tokenId, source? }]`
+ * - `allowances`: `[{ token, spender, source? }]` to revoke; when set, the controller's adapter is added as
+ *   a spender of the Cadmos token and every token, since an adapter sweep leaves those approvals in place
+ * - `controller`: read for `adapter()` when `allowances` is set
+ * - `multicall3`: Multicall3 address, or null for individual reads
+ *
+ * Returns `{ nonce, nativeBalance, calls, assets, skipped }`: `assets[i]` describes `calls[i]` for display,
+ * `skipped` explains items left out. `nativeBalance` is informational, since no step can move it (README,
+ * "Native Balance"). Throws when the wallet's `nonce()` cannot be read.
+ */
+export async function planRecoveryCalls(client, options) {
+  const { wallet, destination, cadmosToken, deadline } = options;
+  const mode = normalizeMode(options.mode);
+  const multicall3 = options.multicall3 === undefined ? DEFAULT_MULTICALL3_ADDRESS : options.multicall3;
+  const tokens = options.tokens ?? [];
+  const caps = mode === "manual" ? (options.caps ?? new Map()) : new Map();
+  const vaultHandling = options.vaultHandling ?? new Map();
+  const needsRedeem = mode === "standard" && (options.includeRedeemFallback ?? true);
+
+  const reads = await batchRead(client, multicall3, [
+    { address: wallet, abi: walletAbi, functionName: "nonce", fallback: null },
+    { address: cadmosToken, abi: cadmosAbi, functionName: "maxWithdraw", args: [wallet], fallback: 0n },
+    { address: cadmosToken, abi: cadmosAbi, functionName: "asset", fallback: null },
+    { address: cadmosToken, abi: erc20Abi, functionName: "symbol", fallback: null },
+    { address: cadmosToken, abi: erc20Abi, functionName: "decimals", fallback: null },
+    needsRedeem
+      ? { address: cadmosToken, abi: cadmosAbi, functionName: "maxRedeem", args: [wallet], fallback: 0n }
+      : null,
+    ...tokens.flatMap(({ address }) => [
+      { address, abi: erc20Abi, functionName: "balanceOf", args: [wallet], fallback: 0n },
+      { address, abi: erc20Abi, functionName: "symbol", fallback: null },
+      { address, abi: erc20Abi, functionName: "decimals", fallback: null },
+      { address, abi: erc4626Abi, functionName: "asset", fallback: null },
+      { address, abi: erc4626Abi, functionName: "convertToAssets", args: [0n], fallback: null },
+    ]),
+  ].filter(Boolean));
+
+  const nonce = reads[0];
+  if (nonce === null) {
+    throw new Error(`Could not read nonce() from ${wallet}. Is this a Cadmos Smart Account on this network?`);
+  }
+  const [maxWithdraw, cadmosAsset, cadmosSymbol, cadmosDecimals] = reads.slice(1, 5);
+  const maxRedeem = needsRedeem ? reads[5] : 0n;
+  const tokenReadsStart = needsRedeem ? 6 : 5;
+
+  const [assetSymbol, assetDecimals] = cadmosAsset
+    ? await batchRead(client, multicall3, [
+        { address: cadmosAsset, abi: erc20Abi, functionName: "symbol", fallback: null },
+        { address: cadmosAsset, abi: erc20Abi, functionName: "decimals", fallback: null },
+      ])
+    : [null, null];
+
+  const nativeBalance = await safeRead(() => client.getBalance({ address: wallet }), null);
+
+  const calls = [];
+  const assets = [];
+  const skipped = [];
+
+  const cadmosAmount = mode === "manual" ? (options.cadmosAmount ?? 0n) : 0n;
+  const withdrawAssets =
+    cadmosAmount > 0n ? (maxWithdraw > 0n ? min(cadmosAmount, maxWithdraw) : cadmosAmount) : maxWithdraw;
+
+  if (withdrawAssets > 0n) {
+    calls.push({
+      target: cadmosToken,
+      data: encodeFunctionData({ abi: cadmosAbi, functionName: "withdraw", args: [withdrawAssets, destination, wallet] }),
+      deadline,
+      note: `cadmos.withdraw assets=${formatAmount(withdrawAssets, assetDecimals, assetSymbol)} (${withdrawAssets})`,
+    });
+    assets.push({
+      action: "withdraw",
+      symbol: assetSymbol || "UNDERLYING",
+      address: cadmosAsset || cadmosToken,
+      amount: withdrawAssets,
+      decimals: assetDecimals,
+      source: "CADMOS",
+    });
+  }
+
+  if (needsRedeem && maxRedeem > 0n && withdrawAssets > 0n && options.signedUpFront) {
+    skipped.push("cadmos redeem fallback left out: withdraw is planned and every step is signed up front");
+  } else if (needsRedeem && maxRedeem > 0n) {
+    calls.push({
+      target: cadmosToken,
+      data: encodeFunctionData({ abi: cadmosAbi, functionName: "redeem", args: [maxRedeem, destination, wallet] }),
+      deadline,
+      note: `cadmos.redeem shares=${formatAmount(maxRedeem, cadmosDecimals, cadmosSymbol)} (${maxRedeem}) (fallback)`,
+    });
+    assets.push({
+      action: "redeem (fallback)",
+      symbol: cadmosSymbol || "CADMOS",
+      address: cadmosToken,
+      amount: maxRedeem,
+      decimals: cadmosDecimals,
+      source: "CADMOS",
+    });
+  }
+
+  const tokenEntries = [];
+  for (let i = 0; i < tokens.length; i++) {
+    const { address: token, source, vault: marked } = tokens[i];
+    const [balance, symbol, decimals, vaultAsset, convertedAssets] = reads.slice(
+      tokenReadsStart + i * 5,
+      tokenReadsStart + i * 5 + 5
+    );
+
+    const capText = caps.get(token.toLowerCase());
+    const cap = capText !== undefined ? parseAmount(token, capText, decimals) : 0n;
+    const amount = cap > 0n ? min(balance, cap) : balance;
+    if (amount === 0n) continue;
+
+    const isVault = marked ?? (vaultHandling.has(token.toLowerCase()) || (vaultAsset !== null && convertedAssets !== null));
+    tokenEntries.push({ token, source, symbol, decimals, amount, vaultAsset: isVault ? vaultAsset : undefined });
+  }
+
+  const vaults = await readVaultPreviews(
+    client,
+    multicall3,
+    tokenEntries.filter((entry) => entry.vaultAsset !== undefined),
+    vaultHandling
+  );
+
+  for (const { token, source, symbol, decimals, amount } of tokenEntries) {
+    const vault = vaults.get(token);
+    if (vault?.handling === "redeem") {
+      calls.push({
+        target: token,
+        data: encodeFunctionData({ abi: erc4626Abi, functionName: "redeem", args: [amount, destination, wallet] }),
+        deadline,
+        note:
+          `vault.redeem shares=${formatAmount(amount, decimals, symbol)} (${amount}) ` +
+          `previewRedeem=${formatVaultPreview(vault)} token=${token}` +
+          sourceSuffix(source),
+      });
+      assets.push({ action: "redeem", symbol: symbol || "UNKNOWN", address: token, amount, decimals, source, vault });
+      continue;
+    }
+
+    calls.push({
+      target: token,
+      data: encodeFunctionData({ abi: erc20Abi, functionName: "transfer", args: [destination, amount] }),
+      deadline,
+      note:
+        `token.transfer ${formatAmount(amount, decimals, symbol)} token=${token} amount=${amount}` +
+        sourceSuffix(source) +
+        (vault ? ` (ERC-4626 shares, previewRedeem=${formatVaultPreview(vault)})` : ""),
+    });
+    assets.push({ action: "transfer", symbol: symbol || "UNKNOWN", address: token, amount, decimals, source, vault });
+  }
+
+  const nftPlan = await planNftTransfers(client, multicall3, wallet, destination, options.nfts ?? [], deadline);
+  calls.push(...nftPlan.calls);
+  assets.push(...nftPlan.assets);
+
+  const allowances = [...(options.allowances ?? [])];
+  if (options.allowances && options.controller) {
+    const adapter = await safeRead(
+      () => client.readContract({ address: options.controller, abi: controllerAbi, functionName: "adapter" }),
+      null
+    );
+    if (adapter) {
+      for (const token of [cadmosToken, ...tokens.map((t) => t.address)]) {
+        allowances.push({ token, spender: adapter, source: "ADAPTER" });
+      }
+    }
+  }
+  const allowancePlan = await planAllowanceRevocations(client, multicall3, wallet, allowances, deadline);
+  calls.push(...allowancePlan.calls);
+  assets.push(...allowancePlan.assets);
+
+  return { nonce, nativeBalance, calls, assets, skipped: [...skipped, ...nftPlan.skipped, ...allowancePlan.skipped] };
+}
+
+/**
+ * Signed calls run in nonce order, and one that fails inside the controller's loop leaves its nonce
+ * unused: every call after it in the same transaction was signed for a nonce the wallet has not reached,
+ * so it fails the nonce check and recovers nothing. `successes[i]` says whether call `i` succeeds;
+ * returns the first failing call that has calls after it, or -1 when the signed nonces stay contiguous.
+ */
+export function firstNonceGap(successes) {
+  const index = successes.findIndex((success) => !success);
+  return index >= 0 && index < successes.length - 1 ? index : -1;
+}
+
+// Execution-plan function names, in `sweep.functionName`, by plan mode.
+const SWEEP_FUNCTIONS = { standard: "executeRecoveryPlan", manual: "executeRecoveryPlanWithAmounts" };
+
+/**
+ * Builds an adapter sweep: `approve(adapter, max)` on the Cadmos token and on each token with a balance,
+ * then `recoverAll` (standard) or `recoverWithAmounts` (manual) on the controller's adapter. This is the
+ * order `executeRecoveryPlan`/`executeRecoveryPlanWithAmounts` rebuild the steps in, so it is also the
+ * signing order. The adapter reads balances when it runs, so amounts that grow or shrink between scan
+ * and execution (rebasing or interest-bearing tokens) are still swept in full.
+ *
+ * Takes the `planRecoveryCalls` options plus `controller`. The adapter moves ERC-20 balances only: NFTs,
+ * vault "redeem" choices and requested allowance revocations are listed in `skipped`, and `includeRedeemFallback` is the adapter's own
+ * behaviour in standard mode. Returns the `planRecoveryCalls` shape plus `sweep`, the plan struct fields
+ * other than wallet, signatory, destination and signatures:
+ * `{ adapter, functionName, cadmosToken, cadmosAssetAmount, tokens, tokenAmounts }`.
+ * `calls` is empty when the wallet holds nothing the adapter could move.
+ */
+export async function planAdapterSweep(client, options) {
+  const { wallet, destination, cadmosToken, deadline, controller } = options;
+  const mode = normalizeMode(options.mode);
+  const multicall3 = options.multicall3 === undefined ? DEFAULT_MULTICALL3_ADDRESS : options.multicall3;
+  const tokens = options.tokens ?? [];
+  const caps = mode === "manual" ? (options.caps ?? new Map()) : new Map();
+  const vaultHandling = options.vaultHandling ?? new Map();
+
+  const reads = await batchRead(client, multicall3, [
+    { address: wallet, abi: walletAbi, functionName: "nonce", fallback: null },
+    { address: controller, abi: controllerAbi, functionName: "adapter", fallback: null },
+    { address: cadmosToken, abi: erc20Abi, functionName: "balanceOf", args: [wallet], fallback: 0n },
+    { address: cadmosToken, abi: erc20Abi, functionName: "symbol", fallback: null },
+    { address: cadmosToken, abi: erc20Abi, functionName: "decimals", fallback: null },
+    ...tokens.flatMap(({ address }) => [
+      { address, abi: erc20Abi, functionName: "balanceOf", args: [wallet], fallback: 0n },
+      { address, abi: erc20Abi, functionName: "symbol", fallback: null },
+      { address, abi: erc20Abi, functionName: "decimals", fallback: null },
+    ]),
+  ]);
+
+  const [nonce, adapter, cadmosShares, cadmosSymbol, cadmosDecimals] = reads;
+  if (nonce === null) {
+    throw new Error(`Could not read nonce() from ${wallet}. Is this a Cadmos Smart Account on this network?`);
+  }
+  if (adapter === null) {
+    throw new Error(`Could not read adapter() from controller ${controller}.`);
+  }
+  const nativeBalance = await safeRead(() => client.getBalance({ address: wallet }), null);
+
+  const skipped = [];
+  const entries = [];
+  for (let i = 0; i < tokens.length; i++) {
+    const { address: token, source } = tokens[i];
+    const [balance, symbol, decimals] = reads.slice(5 + i * 3, 8 + i * 3);
+    if (balance === 0n) continue;
+
+    const capText = caps.get(token.toLowerCase());
+    const cap = capText !== undefined ? parseAmount(token, capText, decimals) : 0n;
+    if (vaultHandling.get(token.toLowerCase()) === "redeem") {
+      skipped.push(`vault redeem ignored (adapter sweep transfers the shares): ${symbol || token} token=${token}`);
+    }
+    entries.push({ token, source, symbol, decimals, balance, cap });
+  }
+  for (const { collection, tokenId } of options.nfts ?? []) {
+    skipped.push(`nft skipped (adapter sweep moves ERC-20 balances only): collection=${collection} tokenId=${tokenId}`);
+  }
+  if (options.allowances) {
+    skipped.push("allowance revocation skipped (the controller fixes a sweep's steps): plan a direct recovery afterwards to revoke");
+  }
+
+  const sweep = {
+    adapter,
+    functionName: SWEEP_FUNCTIONS[mode],
+    cadmosToken,
+    cadmosAssetAmount: mode === "manual" ? (options.cadmosAmount ?? 0n) : 0n,
+    tokens: entries.map((entry) => entry.token),
+    tokenAmounts: mode === "manual" ? entries.map((entry) => entry.cap) : [],
+  };
+  if (cadmosShares === 0n && entries.length === 0) {
+    return { nonce, nativeBalance, calls: [], assets: [], skipped, sweep };
+  }
+
+  const steps = sweepCalls(sweep, destination);
+  const notes = [
+    `cadmos.approve adapter=${adapter} (balance now ${formatAmount(cadmosShares, cadmosDecimals, cadmosSymbol)})`,
+    ...entries.map(
+      ({ token, source, symbol, decimals, balance }) =>
+        `token.approve adapter=${adapter} token=${token} (balance now ${formatAmount(balance, decimals, symbol)})` +
+        sourceSuffix(source)
+    ),
+    mode === "manual"
+      ? `adapter.recoverWithAmounts cadmosAssetAmount=${sweep.cadmosAssetAmount} tokenAmounts=[${sweep.tokenAmounts.join(",")}] (0 = full balance at execution)`
+      : `adapter.recoverAll tokens=${sweep.tokens.length} (balances read at execution)`,
+  ];
+  const calls = steps.map((step, i) => ({ ...step, deadline, note: notes[i] }));
+
+  const assets = [
+    {
+      action: "approve adapter",
+      symbol: cadmosSymbol || "CADMOS",
+      address: cadmosToken,
+      amount: cadmosShares,
+      decimals: cadmosDecimals,
+      source: "CADMOS",
+    },
+    ...entries.map(({ token, source, symbol, decimals, balance }) => ({
+      action: "approve adapter",
+      symbol: symbol || "UNKNOWN",
+      address: token,
+      amount: balance,
+      decimals,
+      source,
+    })),
+    {
+      action: mode === "manual" ? "recoverWithAmounts" : "recoverAll",
+      symbol: "ADAPTER",
+      address: adapter,
+      amount: null,
+      decimals: null,
+      source: "read at execution",
+    },
+  ];
+
+  return { nonce, nativeBalance, calls, assets, skipped, sweep };
+}
+
+// The `{ target, data }` steps the controller rebuilds from `sweep` for `destination`, in signing order.
+export function sweepCalls(sweep, destination) {
+  const approve = (target) => ({
+    target,
+    data: encodeFunctionData({ abi: erc20Abi, functionName: "approve", args: [sweep.adapter, maxUint256] }),
+  });
+  const recoverData =
+    sweep.functionName === "executeRecoveryPlanWithAmounts"
+      ? encodeFunctionData({
+          abi: adapterAbi,
+          functionName: "recoverWithAmounts",
+          args: [destination, sweep.cadmosToken, sweep.cadmosAssetAmount, sweep.tokens, sweep.tokenAmounts],
+        })
+      : encodeFunctionData({
+          abi: adapterAbi,
+          functionName: "recoverAll",
+          args: [destination, sweep.cadmosToken, sweep.tokens],
+        });
+  return [approve(sweep.cadmosToken), ...sweep.tokens.map(approve), { target: sweep.adapter, data: recoverData }];
+}
+
+/**
+ * Problems with `calls` as signatures for `sweep`: the controller only accepts signatures over the
+ * steps it rebuilds itself, so any other target or data fails on chain, and in a forged bundle could
+ * approve something else. Returns an empty list when they match.
+ */
+export function checkSweepCalls(sweep, destination, calls) {
+  if (!Object.values(SWEEP_FUNCTIONS).includes(sweep.functionName)) {
+    return [`sweep function ${sweep.functionName} is not executeRecoveryPlan or executeRecoveryPlanWithAmounts`];
+  }
+  const expected = sweepCalls(sweep, destination);
+  if (calls.length !== expected.length) {
+    return [`sweep needs ${expected.length} signed steps (Cadmos approval, ${sweep.tokens.length} token approvals, adapter call); bundle has ${calls.length}`];
+  }
+  const problems = [];
+  expected.forEach((step, i) => {
+    if (calls[i].target.toLowerCase() !== step.target.toLowerCase()) {
+      problems.push(`step ${i + 1}: target ${calls[i].target} is not ${step.target}, which ${sweep.functionName} calls at this position`);
+    } else if (calls[i].data.toLowerCase() !== step.data.toLowerCase()) {
+      problems.push(`step ${i + 1}: data is not what ${sweep.functionName} encodes at this position`);
+    }
+  });
+  return problems;
+}
+
+// `sweep` as written in bundle and plan JSON: amounts as strings.
+export function serializeSweep(sweep) {
+  return {
+    adapter: sweep.adapter,
+    functionName: sweep.functionName,
+    cadmosToken: sweep.cadmosToken,
+    cadmosAssetAmount: sweep.cadmosAssetAmount.toString(),
+    tokens: sweep.tokens,
+    tokenAmounts: sweep.tokenAmounts.map((amount) => amount.toString()),
+  };
+}
+
+// The inverse of `serializeSweep`.
+export function parseSweep(raw) {
+  return {
+    adapter: raw.adapter,
+    functionName: raw.functionName,
+    cadmosToken: raw.cadmosToken,
+    cadmosAssetAmount: BigInt(raw.cadmosAssetAmount ?? 0),
+    tokens: raw.tokens ?? [],
+    tokenAmounts: (raw.tokenAmounts ?? []).map((amount) => BigInt(amount)),
+  };
+}
+
+// Exact EIP-712 payload Cadmos UserWallet verifies for one `call(...)`.
+export function requestTypedData(chainId, wallet, call, nonce) {
+  return {
+    domain: {
+      ...REQUEST_DOMAIN,
+      chainId,
+      verifyingContract: wallet,
+    },
+    types: {
+      Request: [
+        { name: "target", type: "address" },
+        { name: "value", type: "uint256" },
+        { name: "deadline", type: "uint256" },
+        { name: "nonce", type: "uint256" },
+        { name: "data", type: "bytes" },
+      ],
+    },
+    primaryType: "Request",
+    message: {
+      target: call.target,
+      value: call.value ?? 0n,
+      deadline: call.deadline,
+      nonce,
+      data: call.data,
+    },
+  };
+}
+
+export function requestDigest(chainId, wallet, call, nonce) {
+  return hashTypedData(requestTypedData(chainId, wallet, call, nonce));
+}
+
+// The implementation behind an EIP-1167 clone or an EIP-1967 proxy, or null for anything else.
+async function proxyImplementation(client, wallet, code) {
+  const clone = EIP1167_PATTERN.exec(code);
+  if (clone) return getAddress(`0x${clone[1]}`);
+  const slot = await safeRead(() => client.getStorageAt({ address: wallet, slot: EIP1967_IMPLEMENTATION_SLOT }), null);
+  return slot && BigInt(slot) !== 0n ? getAddress(`0x${slot.slice(-40)}`) : null;
+}
+
+/**
+ * Checks, before anything is signed, that every signature would be accepted:
+ * - `wallet` has code, and that code (or the implementation behind an EIP-1167 clone or EIP-1967 proxy)
+ *   hashes to one of `codeHashes`
+ * - `signatoryView`, the profile's name for the wallet's authorization view, does not return false for
+ *   `signatory`
+ * - the controller's `signingDomainName()`/`signingDomainVersion()`/`signingRequestType()` are what
+ *   `requestTypedData` signs, and so is the wallet's ERC-5267 `eip712Domain()` when it has one
+ *
+ * Returns `{ problems, warnings }`. Each problem names what differs; the caller must not ask for signatures
+ * while there are any. Each warning names a check that could not be made (no `codeHashes`, no
+ * `signatoryView`, or a view that reverts) and must be shown to the user before signing.
+ */
+export async function checkWalletSetup(client, { chainId, wallet, signatory, controller, codeHashes = [], signatoryView }) {
+  const problems = [];
+  const warnings = [];
+
+  const code = await safeRead(() => client.getCode({ address: wallet }), null);
+  if (!code || code === "0x") {
+    problems.push(`${wallet} has no contract code on chain ${chainId}. Check the Smart Account address and the network.`);
+    return { problems, warnings };
+  }
+
+  if (codeHashes.length === 0) {
+    warnings.push(
+      `Smart Account code NOT verified: no known UserWallet code hashes are configured for chain ${chainId}, ` +
+        `so ${wallet} could be any contract. Compare it with the address your Cadmos app shows.`
+    );
+  } else {
+    const known = new Set(codeHashes.map((hash) => hash.toLowerCase()));
+    const hash = keccak256(code);
+    if (!known.has(hash)) {
+      const implementation = await proxyImplementation(client, wallet, code);
+      const implementationCode = implementation
+        ? await safeRead(() => client.getCode({ address: implementation }), null)
+        : null;
+      const implementationHash = implementationCode && implementationCode !== "0x" ? keccak256(implementationCode) : null;
+      if (!implementationHash || !known.has(implementationHash)) {
+        problems.push(
+          `Code at ${wallet} (keccak256 ${hash}) is not a known Cadmos UserWallet` +
+            (implementation
+              ? `, and neither is its proxy implementation ${implementation} (${implementationHash ?? "no code"})`
+              : " implementation or proxy") +
+            ". Check the Smart Account address."
+        );
+      }
+    }
+  }
+
+  // Only an explicit `false` is proof; a missing or reverting view says nothing about the signatory.
+  if (!signatoryView) {
+    warnings.push(`Signatory NOT verified: no signatoryView is configured for chain ${chainId}.`);
+  } else {
+    const view = parseAbi([signatoryView]);
+    const [{ name: viewName }] = view;
+    const authorized = await safeRead(
+      () => client.readContract({ address: wallet, abi: view, functionName: viewName, args: [signatory] }),
+      null
+    );
+    if (authorized === null) {
+      warnings.push(`Signatory NOT verified: ${viewName}(${signatory}) reverted on ${wallet}.`);
+    } else if (authorized === false) {
+      problems.push(`${signatory} is not an authorized signatory of ${wallet} (${viewName} returned false). Sign with a signatory the Smart Account authorizes.`);
+    }
+  }
+
+  const [domainName, domainVersion, requestType] = await Promise.all(
+    ["signingDomainName", "signingDomainVersion", "signingRequestType"].map((functionName) =>
+      safeRead(() => client.readContract({ address: controller, abi: controllerAbi, functionName }), null)
+    )
+  );
+  if (domainName === null || domainVersion === null || requestType === null) {
+    problems.push(`Could not read the EIP-712 signing domain from controller ${controller}. Is it a RecoveryController?`);
+  } else {
+    if (domainName !== REQUEST_DOMAIN.name || domainVersion !== REQUEST_DOMAIN.version) {
+      problems.push(
+        `Controller ${controller} expects EIP-712 domain "${domainName}" version "${domainVersion}", ` +
+          `but Requests are signed for "${REQUEST_DOMAIN.name}" version "${REQUEST_DOMAIN.version}".`
+      );
+    }
+    if (requestType !== REQUEST_TYPE) {
+      problems.push(`Controller ${controller} expects the struct ${requestType}, but Requests are signed as ${REQUEST_TYPE}.`);
+    }
+  }
+
+  const walletDomain = await safeRead(
+    () => client.readContract({ address: wallet, abi: walletAbi, functionName: "eip712Domain" }),
+    null
+  );
+  if (walletDomain) {
+    const [, name, version, domainChainId, verifyingContract] = walletDomain;
+    if (
+      name !== REQUEST_DOMAIN.name ||
+      version !== REQUEST_DOMAIN.version ||
+      domainChainId !== BigInt(chainId) ||
+      getAddress(verifyingContract) !== getAddress(wallet)
+    ) {
+      problems.push(
+        `${wallet} reports EIP-712 domain "${name}" version "${version}" chain ${domainChainId} contract ${verifyingContract}, ` +
+          `but Requests are signed for "${REQUEST_DOMAIN.name}" version "${REQUEST_DOMAIN.version}" chain ${chainId} contract ${wallet}.`
+      );
+    }
+  }
+
+  return { problems, warnings };
+}
+
+/**
+ * Signs `plan.calls[i]` as the Request at `plan.walletNonce + i`. `signTypedData(typedData)` returns the
+ * signature, whatever holds the key; `onSign(i, call, nonce, digest)` runs before each request so the
+ * caller can show the digest a hardware wallet should display.
+ */
+export async function signRecoveryCalls(plan, signTypedData, onSign) {
+  const signedCalls = [];
+  for (let i = 0; i < plan.calls.length; i++) {
+    const call = plan.calls[i];
+    const nonce = plan.walletNonce + BigInt(i);
+    const typedData = requestTypedData(plan.chainId, plan.wallet, call, nonce);
+    const digest = hashTypedData(typedData);
+    await onSign?.(i, call, nonce, digest);
+
+    signedCalls.push({
+      target: call.target,
+      signatory: plan.signatory,
+      data: call.data,
+      signature: await signTypedData(typedData),
+      deadline: call.deadline,
+      nonce,
+      note: call.note,
+      digest,
+    });
+  }
+  return signedCalls;
+}
+
+// Arguments of `RecoveryController.executeSignedCalls`; `calls` may carry extra fields and string deadlines.
+export function executeSignedCallsArgs(wallet, calls, continueOnFailure) {
+  return [
+    wallet,
+    calls.map((call) => ({
+      target: call.target,
+      signatory: call.signatory,
+      data: call.data,
+      signature: call.signature,
+      deadline: BigInt(call.deadline),
+    })),
+    continueOnFailure,
+  ];
+}
+
+export function encodeExecuteSignedCalls(wallet, calls, continueOnFailure) {
+  return encodeFunctionData({
+    abi: controllerAbi,
+    functionName: "executeSignedCalls",
+    args: executeSignedCallsArgs(wallet, calls, continueOnFailure),
+  });
+}
+
+// The `RecoveryPlan`/`RecoveryPlanWithAmounts` struct for a signed sweep bundle (`bundle.sweep` parsed).
+export function executeRecoveryPlanArgs(bundle) {
+  const { sweep } = bundle;
+  const plan = {
+    wallet: bundle.wallet,
+    signatory: bundle.signatory,
+    cadmosToken: sweep.cadmosToken,
+    destination: bundle.destination,
+    tokens: sweep.tokens,
+    signatures: bundle.calls.map((call) => call.signature),
+    deadlines: bundle.calls.map((call) => BigInt(call.deadline)),
+    continueOnFailure: bundle.continueOnFailure,
+  };
+  if (sweep.functionName === "executeRecoveryPlanWithAmounts") {
+    plan.cadmosAssetAmount = sweep.cadmosAssetAmount;
+    plan.tokenAmounts = sweep.tokenAmounts;
+  }
+  return [plan];
+}
+
+export function encodeExecuteRecoveryPlan(bundle) {
+  return encodeFunctionData({
+    abi: controllerAbi,
+    functionName: bundle.sweep.functionName,
+    args: executeRecoveryPlanArgs(bundle),
+  });
+}
+
+// The controller function and arguments that execute a signed bundle (`bundle.sweep` parsed) in one transaction.
+export function controllerExecution(bundle) {
+  if (bundle.sweep) {
+    return { functionName: bundle.sweep.functionName, args: executeRecoveryPlanArgs(bundle) };
+  }
+  return {
+    functionName: "executeSignedCalls",
+    args: executeSignedCallsArgs(bundle.wallet, bundle.calls, bundle.continueOnFailure),
+  };
+}
+
+/**
+ * `eth_call` of the whole controller transaction for a signed bundle, as `from` would send it, so each
+ * step runs against the state the steps before it leave (a sweep's adapter call runs after its
+ * approvals). Returns `{ functionName, revert, calls }`: `revert` is why the transaction itself would
+ * revert, or null; `calls[i]` is `{ note, success, returnData }` from the per-call results the controller
+ * returns, the same values its `WalletCallExecuted` events carry.
+ */
+export async function simulateExecution(client, bundle, from) {
+  const execution = controllerExecution(bundle);
+  try {
+    const { result } = await client.simulateContract({
+      account: from,
+      address: bundle.controller,
+      abi: controllerAbi,
+      ...execution,
+    });
+    const [successes, returnData] = result;
+    return {
+      functionName: execution.functionName,
+      revert: null,
+      calls: bundle.calls.map((call, i) => ({
+        note: call.note,
+        success: successes[i] ?? false,
+        returnData: returnData[i] ?? "0x",
+      })),
+    };
+  } catch (error) {
+    return { functionName: execution.functionName, revert: describeRevert(error), calls: [] };
+  }
+}
+
+/**
+ * `CadmosRecoveryResult`/`ERC20RecoveryResult` events emitted by `adapter` in `logs`, in log order:
+ * `{ kind, asset, balance, requested, attempted, success, returnData }`. `balance` is the wallet
+ * balance the adapter read (ERC-20 only); `requested` 0 means no cap.
+ */
+export function decodeAdapterResults(logs, adapter) {
+  const results = [];
+  for (const log of logs) {
+    if (log.address.toLowerCase() !== adapter.toLowerCase()) continue;
+    let decoded;
+    try {
+      decoded = decodeEventLog({ abi: adapterAbi, data: log.data, topics: log.topics });
+    } catch {
+      continue;
+    }
+    const { args } = decoded;
+    results.push({
+      kind:
+        decoded.eventName === "ERC20RecoveryResult"
+          ? "token"
+          : args.mode === 2
+            ? "cadmos redeem fallback"
+            : "cadmos withdraw",
+      asset: decoded.eventName === "ERC20RecoveryResult" ? args.token : args.cadmosToken,
+      balance: decoded.eventName === "ERC20RecoveryResult" ? args.walletBalance : null,
+      requested: args.requestedAmount,
+      attempted: args.attemptedAmount,
+      success: args.success,
+      returnData: args.returnData,
+    });
+  }
+  return results;
+}
+
+export function describeAdapterResult(result) {
+  return (
+    `adapter ${result.kind} ${result.asset} attempted=${result.attempted}` +
+    (result.balance === null ? "" : ` balance=${result.balance}`) +
+    (result.requested > 0n ? ` cap=${result.requested}` : "")
+  );
+}
+
+/**
+ * The one JSON shape both tools write for a signed bundle and both importers read. Numbers become
+ * strings. `calls` carries each call's nonce, note and digest for review; `executeSignedCallsInput` is
+ * what goes to the controller. `callPlanNotes` and `digests` line up with `calls`, `planNotes` holds the
+ * rest (discovery, skipped and dropped items). `simulations` (`{ ok, reason }` per call) is optional.
+ *
+ * A sweep bundle (`bundle.sweep` set) carries `adapter`, `sweep` and `executeRecoveryPlanInput`/
+ * `executeRecoveryPlanCalldata` instead of the `executeSignedCalls` fields: its steps include unlimited
+ * approvals to the adapter, which must only ever run through the plan function that ends in the sweep.
+ */
+export function serializeBundle(bundle) {
+  const calls = bundle.calls.map((call) => ({
+    target: call.target,
+    signatory: call.signatory,
+    data: call.data,
+    signature: call.signature,
+    deadline: call.deadline.toString(),
+    nonce: call.nonce.toString(),
+    note: call.note ?? "",
+    digest: call.digest,
+  }));
+
+  return {
+    chainId: bundle.chainId,
+    controller: bundle.controller,
+    wallet: bundle.wallet,
+    signatory: bundle.signatory ?? calls[0]?.signatory ?? null,
+    destination: bundle.destination,
+    destinationWarnings: bundle.destinationWarnings ?? [],
+    continueOnFailure: bundle.continueOnFailure,
+    mode: bundle.mode,
+    walletNonce: bundle.walletNonce.toString(),
+    ...(bundle.nativeBalance === null || bundle.nativeBalance === undefined
+      ? {}
+      : { nativeBalance: bundle.nativeBalance.toString() }),
+    planNotes: bundle.planNotes ?? [],
+    callPlanNotes: calls.map((call) => call.note),
+    digests: calls.map((call) => call.digest),
+    calls,
+    ...(bundle.simulations
+      ? { simulations: calls.map((call, i) => ({ note: call.note, result: simulationLabel(bundle.simulations[i]) })) }
+      : {}),
+    droppedCalls: bundle.droppedCalls ?? [],
+    ...(bundle.sweep
+      ? serializeSweepExecution({ ...bundle, signatory: bundle.signatory ?? calls[0]?.signatory })
+      : serializeSignedCallsExecution(bundle, calls)),
+  };
+}
+
+function serializeSignedCallsExecution(bundle, calls) {
+  return {
+    executeSignedCallsInput: {
+      wallet: bundle.wallet,
+      calls: calls.map(({ target, signatory, data, signature, deadline, nonce }) => ({
+        target,
+        signatory,
+        data,
+        signature,
+        deadline,
+        nonce,
+      })),
+      continueOnFailure: bundle.continueOnFailure,
+    },
+    executeSignedCallsCalldata: encodeExecuteSignedCalls(bundle.wallet, calls, bundle.continueOnFailure),
+  };
+}
+
+function serializeSweepExecution(bundle) {
+  const { sweep } = bundle;
+  const [plan] = executeRecoveryPlanArgs(bundle);
+  return {
+    adapter: sweep.adapter,
+    sweep: serializeSweep(sweep),
+    executeRecoveryPlanInput: {
+      ...plan,
+      ...(plan.cadmosAssetAmount === undefined ? {} : { cadmosAssetAmount: plan.cadmosAssetAmount.toString() }),
+      ...(plan.tokenAmounts === undefined ? {} : { tokenAmounts: plan.tokenAmounts.map((amount) => amount.toString()) }),
+      deadlines: plan.deadlines.map((deadline) => deadline.toString()),
+    },
+    executeRecoveryPlanCalldata: encodeExecuteRecoveryPlan(bundle),
+  };
+}
@@ -1,56 +1,427 @@
-import { readFileSync } from "node:fs";
+import { spawnSync } from "node:child_process";
+import { createDecipheriv, pbkdf2Sync, scryptSync } from "node:crypto";
+import { readFileSync, writeFileSync } from "node:fs";
+import { basename, dirname, resolve } from "node:path";
+import { createInterface } from "node:readline";
+import { parseArgs } from "node:util";
 import {
+  type LocalAccount,
+  type PublicClient,
+  type TransactionReceipt,
+  concat,
   createPublicClient,
   createWalletClient,
+  decodeEventLog,
+  decodeFunctionData,
   encodeFunctionData,
+  formatUnits,
+  getAddress,
   http,
+  keccak256,
+  isAddress,
   parseAbi,
+  recoverTypedDataAddress,
+  zeroAddress,
 } from "viem";
-import { privateKeyToAccount } from "viem/accounts";
+import { mnemonicToAccount, privateKeyToAccount, toAccount } from "viem/accounts";
+import { CADMOS_PROFILES } from "../frontend/profiles.js";
+import {
+  SELECTOR_APPROVE,
+  SELECTOR_ERC1155_SAFE_TRANSFER,
+  SELECTOR_ERC721_SAFE_TRANSFER,
+  SELECTOR_RECOVER_ALL,
+  SELECTOR_RECOVER_WITH_AMOUNTS,
+  SELECTOR_REDEEM,
+  SELECTOR_TRANSFER,
+  SELECTOR_WITHDRAW,
+  adapterAbi,
+  approvalEvent,
+  cadmosAbi,
+  checkSweepCalls,
+  checkWalletSetup,
+  controllerAbi,
+  controllerExecution,
+  decodeAdapterResults,
+  describeAdapterResult,
+  erc1155Abi,
+  erc20Abi,
+  erc721Abi,
+  encodeExecuteRecoveryPlan,
+  encodeExecuteSignedCalls,
+  firstNonceGap,
+  formatVaultPreview,
+  normalizeMode,
+  parseSweep,
+  planAdapterSweep,
+  planRecoveryCalls,
+  requestDigest,
+  requestTypedData,
+  safeRead,
+  serializeBundle,
+  serializeSweep,
+  signRecoveryCalls,
+  simulateCalls,
+  simulateExecution,
+  simulationLabel,
+  transferBatchEvent,
+  transferEvent,
+  transferSingleEvent,
+  walletAbi,
+} from "../frontend/recoveryPlan.js";
 
 type Address = `0x${string}`;
 type Hex = `0x${string}`;
 
-type RecoverMode = "all" | "withAmounts";
+// "all" and "withAmounts" are the original names of "standard" and "manual"; plans record the new ones.
+type RecoverMode = "standard" | "manual" | "all" | "withAmounts";
+
+// Where signatures come from. Without `signer`, the config's plaintext `privateKey` is used.
+type SignerConfig =
+  | { type: "keystore"; file: string; passphraseEnv?: string }
+  | { type: "mnemonic"; derivationPath?: string; mnemonicEnv?: string }
+  | { type: "external"; url: string };
+
+type KeystoreV3 = {
+  version: number;
+  address?: string;
+  crypto: {
+    cipher: string;
+    cipherparams: { iv: string };
+    ciphertext: string;
+    kdf: string;
+    kdfparams: { dklen: number; salt: string; n?: number; r?: number; p?: number; c?: number; prf?: string };
+    mac: string;
+  };
+};
 
 type Config = {
   rpcUrl: string;
-  privateKey: Hex;
+  privateKey?: Hex;
+  signer?: SignerConfig;
+  gasPayer?: SignerConfig;
+  batchSize?: number;
   wallet: Address;
   signatory: Address;
+  destination?: Address;
+  destinationConfirmation?: Address;
   controller: Address;
   cadmosToken: Address;
   tokens: Address[];
+  vaults?: Record<string, VaultHandling>;
+  nfts?: NftEntry[];
+  nftDiscoveryFromBlock?: number;
+  revokeAllowances?: boolean;
+  allowances?: AllowanceEntry[];
+  allowanceDiscoveryFromBlock?: number;
   deadlineSeconds: number;
   mode: RecoverMode;
   cadmosAssetAmount?: string;
-  tokenAmounts?: string[];
+  tokenAmounts?: string[] | Record<string, string>;
   includeRedeemFallback?: boolean;
+  multicall3?: Address | null;
+  simulate?: boolean;
+  dropPredictedFailures?: boolean;
+  adapterSweep?: boolean;
+  walletCodeHashes?: Hex[];
+  signatoryView?: string;
+};
+
+// What to do with ERC-4626 shares: move them as-is, or `redeem` them to the destination.
+type VaultHandling = "transfer" | "redeem";
+
+// ERC-721 or ERC-1155 item; the standard is detected on-chain.
+type NftEntry = { collection: Address; tokenId: string };
+
+// An ERC-20 allowance the wallet granted `spender` on `token`.
+type AllowanceEntry = { token: Address; spender: Address };
+
+type UnsignedCall = { target: Address; data: Hex; deadline: bigint; note: string };
+
+type Simulation = { ok: boolean; reason: string };
+
+// An adapter sweep's `executeRecoveryPlan*` fields other than wallet, signatory, destination and the
+// signatures. Amounts are base-unit strings; 0 means the full balance at execution.
+type SweepPlan = {
+  adapter: Address;
+  functionName: "executeRecoveryPlan" | "executeRecoveryPlanWithAmounts";
+  cadmosToken: Address;
+  cadmosAssetAmount: string;
+  tokens: Address[];
+  tokenAmounts: string[];
 };
 
-type CallPayload = {
+type PlanCall = {
   target: Address;
-  signatory: Address;
+  value: string;
   data: Hex;
-  signature: Hex;
   deadline: string;
   nonce: string;
+  note: string;
+  digest: Hex;
 };
 
-const userWalletAbi = parseAbi(["function nonce() view returns (uint256)"]);
-const erc20Abi = parseAbi([
-  "function balanceOf(address owner) view returns (uint256)",
-  "function transfer(address to, uint256 amount) returns (bool)",
-]);
-const cadmosAbi = parseAbi([
-  "function maxWithdraw(address owner) view returns (uint256)",
-  "function maxRedeem(address owner) view returns (uint256)",
-  "function withdraw(uint256 assets, address receiver, address owner) returns (uint256)",
-  "function redeem(uint256 shares, address receiver, address owner) returns (uint256)",
-]);
+// Written by `prepare` on the online machine; everything `sign` needs, and nothing secret.
+type UnsignedPlanFile = {
+  format: "cadmos-recovery-unsigned-v1";
+  createdAt: string;
+  chainId: number;
+  controller: Address;
+  wallet: Address;
+  signatory: Address;
+  destination: Address;
+  destinationWarnings: string[];
+  continueOnFailure: boolean;
+  mode: RecoverMode;
+  walletNonce: string;
+  calls: PlanCall[];
+  simulations: Array<{ note: string; result: string }>;
+  droppedCalls: string[];
+  // Native balance left in the wallet (wei), informational only: see `preparePlan`.
+  nativeBalance?: string;
+  // Items left out of the plan (e.g. NFTs the wallet no longer holds), with the reason.
+  planNotes?: string[];
+  // Set for adapter sweeps: `calls` are then the approvals and adapter call the controller rebuilds.
+  sweep?: SweepPlan;
+};
+
+// Written by `sign` on the offline machine.
+type SignedPlanFile = Omit<UnsignedPlanFile, "format" | "calls"> & {
+  format: "cadmos-recovery-signed-v1";
+  calls: Array<PlanCall & { signatory: Address; signature: Hex }>;
+};
+
+const UNSIGNED_FORMAT = "cadmos-recovery-unsigned-v1";
+const SIGNED_FORMAT = "cadmos-recovery-signed-v1";
+
+const LOG_CHUNK_SIZE = 10_000n;
+
+// Exit codes are part of the CLI contract; ops runbooks branch on them.
+const EXIT_OK = 0;
+const EXIT_FAILURE = 1;
+const EXIT_USAGE = 2;
+const EXIT_NOTHING_TO_RECOVER = 3;
+const EXIT_VERIFY_FAILED = 4;
+const EXIT_EXECUTION_FAILED = 5;
+
+class CliError extends Error {
+  readonly exitCode: number;
 
-function loadConfig(path: string): Config {
-  return JSON.parse(readFileSync(path, "utf8")) as Config;
+  constructor(message: string, exitCode: number) {
+    super(message);
+    this.exitCode = exitCode;
+  }
+}
+
+type FieldRule = (value: unknown) => string | null;
+
+const addressRule: FieldRule = (value) =>
+  typeof value === "string" && isAddress(value, { strict: false }) ? null : "expected a 0x-prefixed 20-byte address";
+const booleanRule: FieldRule = (value) => (typeof value === "boolean" ? null : "expected true or false");
+const urlRule: FieldRule = (value) => (typeof value === "string" && /^https?:\/\//.test(value) ? null : "expected an http(s):// URL");
+const optional =
+  (rule: FieldRule): FieldRule =>
+  (value) =>
+    value === undefined || value === "" ? null : rule(value);
+
+const DEFAULT_DERIVATION_PATH = "m/44'/60'/0'/0/0";
+
+const signerSchema: Record<SignerConfig["type"], Record<string, FieldRule>> = {
+  keystore: {
+    file: (value) => (typeof value === "string" && value.length > 0 ? null : "expected the path of a V3 keystore JSON file"),
+    passphraseEnv: optional((value) => (typeof value === "string" && /^[A-Z_][A-Z0-9_]*$/i.test(value) ? null : "expected an environment variable name")),
+  },
+  mnemonic: {
+    derivationPath: optional((value) => (typeof value === "string" && /^m(\/\d+'?)+$/.test(value) ? null : `expected a path like ${DEFAULT_DERIVATION_PATH}`)),
+    mnemonicEnv: optional((value) => (typeof value === "string" && /^[A-Z_][A-Z0-9_]*$/i.test(value) ? null : "expected an environment variable name")),
+  },
+  external: {
+    url: urlRule,
+  },
+};
+const amountRule = (value: unknown, allowDecimal: boolean) =>
+  typeof value === "string" && (allowDecimal ? /^\d+(\.\d+)?$/ : /^\d+$/).test(value);
+
+function signerRule(value: unknown): string | null {
+  if (typeof value !== "object" || value === null || Array.isArray(value)) return 'expected an object like { "type": "keystore", "file": "..." }';
+  const signer = value as Record<string, unknown>;
+  const fields = signerSchema[signer.type as SignerConfig["type"]];
+  if (!fields) return 'type: expected "keystore", "mnemonic" or "external"';
+  const unknown = Object.keys(signer).filter((key) => key !== "type" && !(key in fields));
+  if (unknown.length > 0) return `unknown field(s) ${unknown.join(", ")} for a ${signer.type} signer`;
+  for (const [key, rule] of Object.entries(fields)) {
+    const problem = rule(signer[key]);
+    if (problem) return `${key}: ${problem}`;
+  }
+  return null;
+}
+
+const configSchema: Record<keyof Config, FieldRule> = {
+  rpcUrl: urlRule,
+  privateKey: (value) =>
+    typeof value === "string" && /^0x[0-9a-fA-F]{64}$/.test(value) ? null : "expected a 0x-prefixed 32-byte hex key",
+  signer: signerRule,
+  gasPayer: (value) =>
+    signerRule(value) ??
+    ((value as SignerConfig).type === "external" ? "type: external signers cannot sign transactions; use a keystore or mnemonic" : null),
+  batchSize: (value) => (typeof value === "number" && Number.isInteger(value) && value > 0 ? null : "expected a positive whole number of calls"),
+  wallet: addressRule,
+  signatory: addressRule,
+  destination: addressRule,
+  destinationConfirmation: addressRule,
+  controller: addressRule,
+  cadmosToken: addressRule,
+  tokens: (value) => {
+    if (!Array.isArray(value)) return "expected an array of token addresses";
+    const bad = value.findIndex((token) => addressRule(token) !== null);
+    return bad === -1 ? null : `entry ${bad} (${JSON.stringify(value[bad])}) is not an address`;
+  },
+  vaults: (value) => {
+    if (typeof value !== "object" || value === null || Array.isArray(value)) return 'expected an object like { "0xVault": "redeem" }';
+    const bad = Object.entries(value).find(([vault, handling]) => addressRule(vault) !== null || (handling !== "transfer" && handling !== "redeem"));
+    return bad ? `${bad[0]}: expected a vault address mapped to "transfer" or "redeem"` : null;
+  },
+  nfts: (value) => {
+    if (!Array.isArray(value)) return 'expected an array like [{ "collection": "0x...", "tokenId": "1" }]';
+    const bad = value.findIndex(
+      (nft) =>
+        typeof nft !== "object" || nft === null || addressRule(nft.collection) !== null || !amountRule(nft.tokenId, false)
+    );
+    return bad === -1 ? null : `entry ${bad} (${JSON.stringify(value[bad])}) needs a collection address and an integer string tokenId`;
+  },
+  nftDiscoveryFromBlock: (value) =>
+    typeof value === "number" && Number.isInteger(value) && value >= 0 ? null : "expected a block number",
+  revokeAllowances: booleanRule,
+  allowances: (value) => {
+    if (!Array.isArray(value)) return 'expected an array like [{ "token": "0x...", "spender": "0x..." }]';
+    const bad = value.findIndex(
+      (entry) => typeof entry !== "object" || entry === null || addressRule(entry.token) !== null || addressRule(entry.spender) !== null
+    );
+    return bad === -1 ? null : `entry ${bad} (${JSON.stringify(value[bad])}) needs a token and a spender address`;
+  },
+  allowanceDiscoveryFromBlock: (value) =>
+    typeof value === "number" && Number.isInteger(value) && value >= 0 ? null : "expected a block number",
+  deadlineSeconds: (value) =>
+    typeof value === "number" && Number.isInteger(value) && value > 0 ? null : "expected a positive whole number of seconds",
+  mode: (value) => {
+    try {
+      normalizeMode(value);
+      return null;
+    } catch {
+      return 'expected "standard" or "manual"';
+    }
+  },
+  cadmosAssetAmount: (value) => (amountRule(value, false) ? null : "expected an integer string of base units"),
+  tokenAmounts: (value) => {
+    if (Array.isArray(value)) {
+      const bad = value.findIndex((amount) => amount !== "" && !amountRule(amount, true));
+      return bad === -1 ? null : `entry ${bad} (${JSON.stringify(value[bad])}) is not a base-unit integer or decimal amount`;
+    }
+    if (typeof value !== "object" || value === null) return 'expected an array of amounts or an object like { "0xToken": "150.5" }';
+    const bad = Object.entries(value).find(([token, amount]) => addressRule(token) !== null || !amountRule(amount, true));
+    return bad ? `${bad[0]}: expected a token address mapped to a base-unit integer or decimal amount` : null;
+  },
+  includeRedeemFallback: booleanRule,
+  multicall3: (value) => (value === null ? null : addressRule(value)),
+  simulate: booleanRule,
+  dropPredictedFailures: booleanRule,
+  adapterSweep: booleanRule,
+  walletCodeHashes: (value) => {
+    if (!Array.isArray(value)) return "expected an array of 32-byte hex code hashes";
+    const bad = value.findIndex((hash) => typeof hash !== "string" || !/^0x[0-9a-fA-F]{64}$/.test(hash));
+    return bad === -1 ? null : `entry ${bad} (${JSON.stringify(value[bad])}) is not a 32-byte hex hash`;
+  },
+  signatoryView: (value) => {
+    if (typeof value !== "string") return 'expected a view like "function <name>(address) view returns (bool)"';
+    try {
+      parseAbi([value]);
+      return null;
+    } catch {
+      return `cannot parse ${JSON.stringify(value)} as a function signature`;
+    }
+  },
+};
+
+// Fields each command cannot run without (after CLI flag overrides are applied).
+const SCAN_FIELDS: Array<keyof Config> = [
+  "rpcUrl",
+  "wallet",
+  "signatory",
+  "controller",
+  "cadmosToken",
+  "tokens",
+  "deadlineSeconds",
+  "mode",
+];
+
+// Collects every problem instead of stopping at the first, so one run shows the whole fix list.
+function validateConfig(raw: Record<string, unknown>, required: Array<keyof Config>, source: string): Config {
+  const problems: string[] = [];
+
+  for (const key of Object.keys(raw)) {
+    if (!(key in configSchema)) problems.push(`${key}: unknown field`);
+  }
+  for (const key of required) {
+    if (key === "signer") {
+      if (!raw.signer && !raw.privateKey) problems.push("signer: required by this command (or a plaintext privateKey)");
+    } else if (raw[key] === undefined || raw[key] === "") {
+      problems.push(`${key}: required by this command`);
+    }
+  }
+  if (raw.signer && raw.privateKey) problems.push("privateKey: set either privateKey or signer, not both");
+  for (const [key, rule] of Object.entries(configSchema)) {
+    const value = raw[key];
+    if (value === undefined || value === "") continue;
+    const problem = rule(value);
+    if (problem) problems.push(`${key}: ${problem}`);
+  }
+  if (Array.isArray(raw.tokenAmounts) && Array.isArray(raw.tokens) && raw.tokenAmounts.length > raw.tokens.length) {
+    problems.push(`tokenAmounts: ${raw.tokenAmounts.length} caps for ${raw.tokens.length} tokens`);
+  }
+
+  if (problems.length > 0) {
+    throw new CliError(`invalid config (${source}):\n  - ${problems.join("\n  - ")}`, EXIT_USAGE);
+  }
+  return raw as Config;
+}
+
+function loadJson<T>(path: string): T {
+  let text: string;
+  try {
+    text = readFileSync(path, "utf8");
+  } catch (error) {
+    throw new CliError(`cannot read ${path}: ${(error as Error).message}`, EXIT_USAGE);
+  }
+  try {
+    return JSON.parse(text) as T;
+  } catch (error) {
+    throw new CliError(`${path} is not valid JSON: ${(error as Error).message}`, EXIT_USAGE);
+  }
+}
+
+function writeJson(path: string | undefined, value: unknown) {
+  const json = JSON.stringify(value, null, 2);
+  if (path) {
+    writeFileSync(path, `${json}\n`);
+    console.error(`Wrote ${path}`);
+  } else {
+    console.log(json);
+  }
+}
+
+// A plan call in the shape `requestTypedData` and `signRecoveryCalls` take.
+function planCallRequest(call: PlanCall) {
+  return { target: call.target, value: BigInt(call.value), deadline: BigInt(call.deadline), data: call.data, note: call.note };
+}
+
+function planCallDigest(plan: { chainId: number; wallet: Address }, call: PlanCall): Hex {
+  return requestDigest(plan.chainId, plan.wallet, planCallRequest(call), BigInt(call.nonce));
+}
+
+function printDigests(plan: { calls: PlanCall[] }) {
+  console.error("EIP-712 digests (cross-check on both machines):");
+  plan.calls.forEach((call, i) => {
+    console.error(`  #${i} nonce=${call.nonce} digest=${call.digest} ${call.note}`);
+  });
 }
 
 function parseBigInt(value: string | undefined, fallback: bigint = 0n): bigint {
@@ -58,197 +429,1582 @@ function parseBigInt(value: string | undefined, fallback: bigint = 0n): bigint {
   return BigInt(value);
 }
 
-function min(a: bigint, b: bigint): bigint {
-  return a < b ? a : b;
+function resolveDestination(config: Config): Address {
+  if (!config.destination) return config.signatory;
+  if (!isAddress(config.destination) || config.destination.toLowerCase() === zeroAddress) {
+    throw new CliError("config.destination is not a valid non-zero address", EXIT_USAGE);
+  }
+  if (config.destinationConfirmation?.toLowerCase() !== config.destination.toLowerCase()) {
+    throw new CliError("config.destinationConfirmation must repeat config.destination exactly", EXIT_USAGE);
+  }
+  return getAddress(config.destination);
 }
 
-async function safeRead<T>(fn: () => Promise<T>, fallback: T): Promise<T> {
-  try {
-    return await fn();
-  } catch {
-    return fallback;
+// ERC-721 `Transfer` (tokenId indexed, so four topics) and ERC-1155 `TransferSingle`/`TransferBatch` sent to
+// the wallet. Ownership is checked by `planNftTransfers`, so items sent away again are harmless.
+async function discoverNfts(
+  publicClient: PublicClient,
+  wallet: Address,
+  fromBlock: bigint
+): Promise<Array<{ collection: Address; tokenId: bigint }>> {
+  const toBlock = await publicClient.getBlockNumber();
+  const found = new Map<string, { collection: Address; tokenId: bigint }>();
+  const add = (collection: Address, tokenId: bigint) =>
+    found.set(`${collection.toLowerCase()}:${tokenId}`, { collection: getAddress(collection), tokenId });
+
+  let chunkSize = LOG_CHUNK_SIZE;
+  let cursor = fromBlock;
+  while (cursor <= toBlock) {
+    const end = cursor + chunkSize - 1n > toBlock ? toBlock : cursor + chunkSize - 1n;
+    const range = { args: { to: wallet }, fromBlock: cursor, toBlock: end, strict: false } as const;
+    let logs, singles, batches;
+    try {
+      logs = await publicClient.getLogs({ event: transferEvent, ...range });
+      singles = await publicClient.getLogs({ event: transferSingleEvent, ...range });
+      batches = await publicClient.getLogs({ event: transferBatchEvent, ...range });
+    } catch (error) {
+      if (chunkSize <= 1n) throw error;
+      chunkSize /= 2n;
+      continue;
+    }
+    for (const log of logs) {
+      if (log.topics.length === 4) add(log.address, BigInt(log.topics[3]!));
+    }
+    for (const log of singles) {
+      if (log.args.id !== undefined) add(log.address, log.args.id);
+    }
+    for (const log of batches) {
+      for (const id of log.args.ids ?? []) add(log.address, id);
+    }
+    cursor = end + 1n;
   }
+  console.error(`NFT discovery: blocks ${fromBlock}-${toBlock}, ${found.size} candidate(s)`);
+  return [...found.values()];
 }
 
-async function main() {
-  const configPath = process.argv[2] ?? "./recovery/scripts/recovery-config.example.json";
-  const config = loadConfig(configPath);
+// ERC-20 `Approval` logs with the wallet as owner (ERC-721 `Approval` has four topics and is ignored).
+// Current allowances are read by `planAllowanceRevocations`, so approvals already revoked are harmless.
+async function discoverAllowances(publicClient: PublicClient, wallet: Address, fromBlock: bigint): Promise<AllowanceEntry[]> {
+  const toBlock = await publicClient.getBlockNumber();
+  const found = new Map<string, AllowanceEntry>();
 
-  const account = privateKeyToAccount(config.privateKey);
-  if (account.address.toLowerCase() !== config.signatory.toLowerCase()) {
-    throw new Error("private key does not match config.signatory");
+  let chunkSize = LOG_CHUNK_SIZE;
+  let cursor = fromBlock;
+  while (cursor <= toBlock) {
+    const end = cursor + chunkSize - 1n > toBlock ? toBlock : cursor + chunkSize - 1n;
+    let logs;
+    try {
+      logs = await publicClient.getLogs({ event: approvalEvent, args: { owner: wallet }, fromBlock: cursor, toBlock: end, strict: false });
+    } catch (error) {
+      if (chunkSize <= 1n) throw error;
+      chunkSize /= 2n;
+      continue;
+    }
+    for (const log of logs) {
+      if (log.topics.length !== 3 || !log.args.spender) continue;
+      const entry = { token: getAddress(log.address), spender: getAddress(log.args.spender) };
+      found.set(`${entry.token}:${entry.spender}`, entry);
+    }
+    cursor = end + 1n;
   }
+  console.error(`Allowance discovery: blocks ${fromBlock}-${toBlock}, ${found.size} token/spender pair(s)`);
+  return [...found.values()];
+}
+
+// `tokenAmounts` as a map of lowercase token address to cap. The array form is positional against `tokens`.
+function tokenCaps(config: Config): Map<string, string> {
+  const amounts = config.tokenAmounts ?? [];
+  const entries = Array.isArray(amounts)
+    ? amounts.flatMap((amount, i): Array<[string, string]> => (amount === "" ? [] : [[config.tokens[i], amount]]))
+    : Object.entries(amounts);
+  return new Map(entries.map(([token, amount]) => [token.toLowerCase(), amount]));
+}
 
+// Online stage: read live state and write an unsigned plan. Needs `rpcUrl`, never a key.
+async function preparePlan(config: Config): Promise<UnsignedPlanFile> {
   const publicClient = createPublicClient({ transport: http(config.rpcUrl) });
-  const walletClient = createWalletClient({ account, transport: http(config.rpcUrl) });
 
   const chainId = await publicClient.getChainId();
-  const currentNonce = await publicClient.readContract({
-    address: config.wallet,
-    abi: userWalletAbi,
-    functionName: "nonce",
-  });
 
   const baseDeadline = BigInt(Math.floor(Date.now() / 1000) + config.deadlineSeconds);
-  const includeRedeemFallback = config.includeRedeemFallback ?? true;
-  const destination = config.signatory;
-
-  const tokenCaps = (config.tokenAmounts ?? []).map((v) => parseBigInt(v, 0n));
-  const unsignedCalls: Array<{ target: Address; data: Hex; deadline: bigint; note: string }> = [];
-
-  const maxWithdraw = await safeRead(
-    () =>
-      publicClient.readContract({
-        address: config.cadmosToken,
-        abi: cadmosAbi,
-        functionName: "maxWithdraw",
-        args: [config.wallet],
-      }),
-    0n
-  );
+  const destination = resolveDestination(config);
+  const mode = normalizeMode(config.mode);
+
+  // Config values win; otherwise the frontend profile for this chain supplies them.
+  const profile = chainProfile(chainId);
+  const setup = await checkWalletSetup(publicClient, {
+    chainId,
+    wallet: config.wallet,
+    signatory: config.signatory,
+    controller: config.controller,
+    codeHashes: config.walletCodeHashes ?? profile?.walletCodeHashes ?? [],
+    signatoryView: config.signatoryView ?? profile?.signatoryView,
+  });
+  for (const warning of setup.warnings) {
+    console.error(`WARNING: ${warning}`);
+  }
+  if (setup.problems.length > 0) {
+    throw new CliError(`refusing to plan calls that cannot be signed:\n  - ${setup.problems.join("\n  - ")}`, EXIT_VERIFY_FAILED);
+  }
+
+  const destinationWarnings: string[] = [];
+  if (destination.toLowerCase() !== config.signatory.toLowerCase()) {
+    destinationWarnings.push(`Destination ${destination} is NOT the signatory ${config.signatory}.`);
+  }
+  const destinationCode = await safeRead(() => publicClient.getCode({ address: destination }), undefined);
+  if (destinationCode && destinationCode !== "0x") {
+    destinationWarnings.push(`Destination ${destination} is a contract. Make sure it can receive these tokens.`);
+  }
+  for (const warning of destinationWarnings) {
+    console.error(`WARNING: ${warning}`);
+  }
+
+  const caps = tokenCaps(config);
+  if (mode === "standard" && caps.size > 0) {
+    console.error('WARNING: tokenAmounts only apply in "manual" mode; every token balance is planned in full.');
+  }
+
+  const nfts = new Map<string, { collection: Address; tokenId: bigint }>();
+  for (const nft of config.nfts ?? []) {
+    nfts.set(`${nft.collection.toLowerCase()}:${nft.tokenId}`, { collection: getAddress(nft.collection), tokenId: BigInt(nft.tokenId) });
+  }
+  if (config.nftDiscoveryFromBlock !== undefined) {
+    for (const nft of await discoverNfts(publicClient, config.wallet, BigInt(config.nftDiscoveryFromBlock))) {
+      nfts.set(`${nft.collection.toLowerCase()}:${nft.tokenId}`, nft);
+    }
+  }
+
+  let allowances: AllowanceEntry[] | undefined;
+  if (config.revokeAllowances) {
+    allowances = (config.allowances ?? []).map(({ token, spender }) => ({ token: getAddress(token), spender: getAddress(spender) }));
+    if (config.allowanceDiscoveryFromBlock !== undefined) {
+      allowances.push(...(await discoverAllowances(publicClient, config.wallet, BigInt(config.allowanceDiscoveryFromBlock))));
+    }
+  } else if (config.allowances?.length || config.allowanceDiscoveryFromBlock !== undefined) {
+    console.error('WARNING: allowances and allowanceDiscoveryFromBlock only apply with "revokeAllowances": true; nothing is revoked.');
+  }
 
-  const requestedCadmos = parseBigInt(config.cadmosAssetAmount, 0n);
-  const withdrawAssets =
-    config.mode === "withAmounts" && requestedCadmos > 0n
-      ? (maxWithdraw > 0n ? min(requestedCadmos, maxWithdraw) : requestedCadmos)
-      : maxWithdraw;
-
-  if (withdrawAssets > 0n) {
-    unsignedCalls.push({
-      target: config.cadmosToken,
-      data: encodeFunctionData({
-        abi: cadmosAbi,
-        functionName: "withdraw",
-        args: [withdrawAssets, destination, config.wallet],
-      }),
+  const vaultHandling = new Map(Object.entries(config.vaults ?? {}).map(([vault, handling]) => [vault.toLowerCase(), handling]));
+  // Adapter sweeps approve the controller's adapter, which reads balances when the plan executes.
+  const planner = config.adapterSweep ? planAdapterSweep : planRecoveryCalls;
+  let plan;
+  try {
+    plan = await planner(publicClient, {
+      controller: config.controller,
+      wallet: config.wallet,
+      destination,
+      cadmosToken: config.cadmosToken,
       deadline: baseDeadline,
-      note: `cadmos.withdraw assets=${withdrawAssets}`,
+      mode,
+      includeRedeemFallback: config.includeRedeemFallback ?? true,
+      signedUpFront: true,
+      cadmosAmount: parseBigInt(config.cadmosAssetAmount, 0n),
+      tokens: config.tokens.map((token) => ({ address: getAddress(token) })),
+      caps,
+      vaultHandling,
+      nfts: [...nfts.values()],
+      allowances,
+      multicall3: config.multicall3,
     });
+  } catch (error) {
+    throw new CliError((error as Error).message, EXIT_FAILURE);
   }
 
-  if (config.mode === "all" && includeRedeemFallback) {
-    const maxRedeem = await safeRead(
-      () =>
-        publicClient.readContract({
-          address: config.cadmosToken,
-          abi: cadmosAbi,
-          functionName: "maxRedeem",
-          args: [config.wallet],
-        }),
-      0n
-    );
+  // The native balance cannot be planned (README, "Native Balance"), so it is only reported.
+  const nativeBalance: bigint | null = plan.nativeBalance;
+  if (nativeBalance) {
+    console.error(`WARNING: ${nativeWarning(nativeBalance, chainId)}`);
+  }
+  for (const note of plan.skipped) {
+    console.error(`note: ${note}`);
+  }
+  const planNotes: string[] = [...setup.warnings.map((warning) => `WARNING: ${warning}`), ...plan.skipped];
+  // Vaults listed in config.vaults use that handling; detected ones default to moving the shares.
+  plan.assets.forEach((asset: { address: Address; vault?: { handling: string } }) => {
+    if (asset.vault && !vaultHandling.has(asset.address.toLowerCase())) {
+      console.error(
+        `note: ${asset.address} is an ERC-4626 vault (previewRedeem=${formatVaultPreview(asset.vault)}); ` +
+          `set vaults["${asset.address}"] = "redeem" to redeem instead of moving shares`
+      );
+    }
+  });
 
-    if (maxRedeem > 0n) {
-      unsignedCalls.push({
-        target: config.cadmosToken,
-        data: encodeFunctionData({
-          abi: cadmosAbi,
-          functionName: "redeem",
-          args: [maxRedeem, destination, config.wallet],
-        }),
-        deadline: baseDeadline,
-        note: `cadmos.redeem shares=${maxRedeem}`,
-      });
+  let unsignedCalls: UnsignedCall[] = plan.calls;
+  const droppedCalls: string[] = [];
+  let simulations: Simulation[] = [];
+  if (plan.sweep) {
+    // The adapter call pulls with the approvals before it, so only the whole signed transaction says anything.
+    console.error("note: an adapter sweep is simulated as one transaction once signed (execute --dry-run, and before broadcasting)");
+    if (config.dropPredictedFailures) {
+      console.error("WARNING: dropPredictedFailures is ignored for an adapter sweep; the controller needs every step.");
+    }
+  } else if (config.simulate ?? true) {
+    simulations = await simulateCalls(publicClient, config.wallet, unsignedCalls);
+    simulations.forEach((simulation, i) => {
+      if (!simulation.ok) console.error(`WARNING: predicted revert: ${unsignedCalls[i].note}: ${simulation.reason}`);
+    });
+
+    if (config.dropPredictedFailures) {
+      droppedCalls.push(...unsignedCalls.filter((_, i) => !simulations[i].ok).map((c) => c.note));
+      unsignedCalls = unsignedCalls.filter((_, i) => simulations[i].ok);
+      simulations = simulations.filter((simulation) => simulation.ok);
     }
   }
 
-  for (let i = 0; i < config.tokens.length; i++) {
-    const token = config.tokens[i];
-    const balance = await safeRead(
-      () =>
-        publicClient.readContract({
-          address: token,
-          abi: erc20Abi,
-          functionName: "balanceOf",
-          args: [config.wallet],
-        }),
-      0n
-    );
+  if (unsignedCalls.length === 0) {
+    const native = nativeBalance ? ` (${formatNative(nativeBalance, chainId)} native balance cannot be recovered)` : "";
+    throw new CliError(`no recoverable non-zero calls found${native}`, EXIT_NOTHING_TO_RECOVER);
+  }
 
-    const cap = i < tokenCaps.length ? tokenCaps[i] : 0n;
-    const transferAmount = cap > 0n ? min(balance, cap) : balance;
+  const currentNonce: bigint = plan.nonce;
+  const calls: PlanCall[] = unsignedCalls.map((call, i) => {
+    const planCall: PlanCall = {
+      target: call.target,
+      value: "0",
+      data: call.data,
+      deadline: call.deadline.toString(),
+      nonce: (currentNonce + BigInt(i)).toString(),
+      note: call.note,
+      digest: "0x",
+    };
+    planCall.digest = planCallDigest({ chainId, wallet: config.wallet }, planCall);
+    return planCall;
+  });
 
-    if (transferAmount == 0n) continue;
+  return {
+    format: UNSIGNED_FORMAT,
+    createdAt: new Date().toISOString(),
+    chainId,
+    controller: config.controller,
+    wallet: config.wallet,
+    signatory: config.signatory,
+    destination,
+    destinationWarnings,
+    continueOnFailure: true,
+    mode,
+    walletNonce: currentNonce.toString(),
+    calls,
+    simulations: simulations.map((simulation, i) => ({
+      note: unsignedCalls[i].note,
+      result: simulationLabel(simulation),
+    })),
+    droppedCalls,
+    planNotes,
+    ...(nativeBalance === null ? {} : { nativeBalance: nativeBalance.toString() }),
+    ...(plan.sweep ? { sweep: serializeSweep(plan.sweep) } : {}),
+  };
+}
 
-    unsignedCalls.push({
-      target: token,
-      data: encodeFunctionData({
-        abi: erc20Abi,
-        functionName: "transfer",
-        args: [destination, transferAmount],
-      }),
-      deadline: baseDeadline,
-      note: `token.transfer token=${token} amount=${transferAmount}`,
+type ChainProfile = {
+  walletCodeHashes?: Hex[];
+  signatoryView?: string;
+  nativeCurrency?: { symbol: string; decimals: number };
+};
+
+function chainProfile(chainId: number): ChainProfile | undefined {
+  return (CADMOS_PROFILES as Record<string, ChainProfile>)[String(chainId)];
+}
+
+// In the chain profile's native currency; chains without a profile are assumed to use ETH.
+function formatNative(balance: bigint, chainId: number): string {
+  const { symbol, decimals } = chainProfile(chainId)?.nativeCurrency ?? { symbol: "ETH", decimals: 18 };
+  return `${formatUnits(balance, decimals)} ${symbol}`;
+}
+
+function nativeWarning(balance: bigint, chainId: number): string {
+  return `${formatNative(balance, chainId)} (native) stays in the wallet and cannot be recovered.`;
+}
+
+type DecodedCall = {
+  action:
+    | "withdraw"
+    | "redeem"
+    | "transfer"
+    | "approve"
+    | "safeTransferFrom"
+    | "recoverAll"
+    | "recoverWithAmounts"
+    | "unknown"
+    | "malformed";
+  description: string;
+  receiver: Address | null;
+  owner: Address | null;
+};
+
+type VerifyReport = {
+  ok: boolean;
+  format: string;
+  chainId: number;
+  wallet: Address;
+  walletNonce: string;
+  liveNonce: string | null;
+  calldata: { reencoded: Hex; matches: boolean | null } | null;
+  problems: string[];
+  calls: Array<{
+    nonce: string;
+    note: string;
+    digest: Hex;
+    signer: Address | null;
+    decoded: DecodedCall;
+    problems: string[];
+  }>;
+};
+
+// `receiver` is where the funds go (or who may move them, for a non-zero approve) and `owner` whose
+// funds they are; both are null when the call does not say.
+function decodeCall(target: Address, data: Hex): DecodedCall {
+  const selector = data.slice(0, 10).toLowerCase();
+  try {
+    if (selector === SELECTOR_WITHDRAW || selector === SELECTOR_REDEEM) {
+      const { functionName, args } = decodeFunctionData({ abi: cadmosAbi, data });
+      const [amount, receiver, owner] = args;
+      const unit = functionName === "withdraw" ? "assets" : "shares";
+      return {
+        action: functionName,
+        description: `${functionName}(${unit}=${amount}, receiver=${receiver}, owner=${owner}) on ${target}`,
+        receiver,
+        owner,
+      };
+    }
+    if (selector === SELECTOR_ERC721_SAFE_TRANSFER) {
+      const { args } = decodeFunctionData({ abi: erc721Abi, data });
+      const [from, to, tokenId] = args as readonly [Address, Address, bigint];
+      return {
+        action: "safeTransferFrom",
+        description: `safeTransferFrom(from=${from}, to=${to}, tokenId=${tokenId}) on ERC-721 ${target}`,
+        receiver: to,
+        owner: from,
+      };
+    }
+    if (selector === SELECTOR_ERC1155_SAFE_TRANSFER) {
+      const { args } = decodeFunctionData({ abi: erc1155Abi, data });
+      const [from, to, id, amount] = args as readonly [Address, Address, bigint, bigint];
+      return {
+        action: "safeTransferFrom",
+        description: `safeTransferFrom(from=${from}, to=${to}, id=${id}, amount=${amount}) on ERC-1155 ${target}`,
+        receiver: to,
+        owner: from,
+      };
+    }
+    if (selector === SELECTOR_RECOVER_ALL || selector === SELECTOR_RECOVER_WITH_AMOUNTS) {
+      const { functionName, args } = decodeFunctionData({ abi: adapterAbi, data });
+      const [receiver, cadmosToken] = args as readonly [Address, Address];
+      const rest =
+        functionName === "recoverWithAmounts"
+          ? `cadmosAssetAmount=${args[2]}, tokens=[${(args[3] as Address[]).join(", ")}], tokenAmounts=[${(args[4] as bigint[]).join(", ")}]`
+          : `tokens=[${(args[2] as Address[]).join(", ")}]`;
+      return {
+        action: functionName,
+        description: `${functionName}(destination=${receiver}, cadmosToken=${cadmosToken}, ${rest}) on adapter ${target}`,
+        receiver,
+        owner: null,
+      };
+    }
+    if (selector === SELECTOR_TRANSFER || selector === SELECTOR_APPROVE) {
+      const { functionName, args } = decodeFunctionData({ abi: erc20Abi, data });
+      const [account, amount] = args as readonly [Address, bigint];
+      if (functionName === "approve") {
+        return {
+          action: "approve",
+          description: `approve(spender=${account}, amount=${amount}) on token ${target}`,
+          receiver: amount === 0n ? null : account,
+          owner: null,
+        };
+      }
+      return { action: "transfer", description: `transfer(to=${account}, amount=${amount}) on token ${target}`, receiver: account, owner: null };
+    }
+  } catch {
+    return { action: "malformed", description: `${selector} on ${target} with undecodable arguments`, receiver: null, owner: null };
+  }
+  return { action: "unknown", description: `unknown selector ${selector} on ${target}`, receiver: null, owner: null };
+}
+
+type DecodeReport = {
+  functionName: string;
+  wallet: Address;
+  continueOnFailure: boolean;
+  expectedDestination: Address | null;
+  flagged: number;
+  calls: Array<{
+    // `executeRecoveryPlan*` calldata does not name the adapter; its step says "<controller adapter>".
+    target: string;
+    signatory: Address;
+    deadline: string;
+    decoded: DecodedCall;
+    warnings: string[];
+  }>;
+};
+
+// `executeRecoveryPlan*` calldata holds no steps, only what the controller builds them from: approvals of
+// its own adapter on the Cadmos token and each token, then the adapter call.
+function recoveryPlanSteps(functionName: string, plan: Record<string, any>) {
+  const adapter = "<controller adapter>";
+  const steps = [plan.cadmosToken, ...plan.tokens].map((token: Address, i: number) => ({
+    target: token,
+    signatory: plan.signatory as Address,
+    deadline: plan.deadlines[i] ?? 0n,
+    decoded: {
+      action: "approve",
+      description: `approve(spender=${adapter}, amount=max) on token ${token}`,
+      receiver: null,
+      owner: null,
+    } as DecodedCall,
+  }));
+  const recoverData =
+    functionName === "executeRecoveryPlanWithAmounts"
+      ? encodeFunctionData({
+          abi: adapterAbi,
+          functionName: "recoverWithAmounts",
+          args: [plan.destination, plan.cadmosToken, plan.cadmosAssetAmount, plan.tokens, plan.tokenAmounts],
+        })
+      : encodeFunctionData({ abi: adapterAbi, functionName: "recoverAll", args: [plan.destination, plan.cadmosToken, plan.tokens] });
+  steps.push({
+    target: adapter,
+    signatory: plan.signatory,
+    deadline: plan.deadlines[steps.length] ?? 0n,
+    decoded: decodeCall(adapter as Address, recoverData),
+  });
+  return steps;
+}
+
+// Decodes `executeSignedCalls` or `executeRecoveryPlan*` calldata. Recipients other than
+// `expectedDestination` are flagged.
+function decodeExecuteCalldata(calldata: Hex, expectedDestination: Address | null): DecodeReport {
+  let decoded;
+  try {
+    decoded = decodeFunctionData({ abi: controllerAbi, data: calldata });
+  } catch {
+    throw new CliError(`calldata is not a controller execution call (selector ${calldata.slice(0, 10)})`, EXIT_USAGE);
+  }
+  let wallet: Address;
+  let continueOnFailure: boolean;
+  let steps: Array<{ target: string; signatory: Address; deadline: bigint; decoded: DecodedCall }>;
+  if (decoded.functionName === "executeSignedCalls") {
+    const [signedWallet, calls, signedContinue] = decoded.args as readonly [Address, Array<Record<string, any>>, boolean];
+    wallet = signedWallet;
+    continueOnFailure = signedContinue;
+    steps = calls.map((call) => ({
+      target: call.target,
+      signatory: call.signatory,
+      deadline: call.deadline,
+      decoded: decodeCall(call.target, call.data),
+    }));
+  } else if (decoded.functionName === "executeRecoveryPlan" || decoded.functionName === "executeRecoveryPlanWithAmounts") {
+    const [plan] = decoded.args as readonly [Record<string, any>];
+    wallet = plan.wallet;
+    continueOnFailure = plan.continueOnFailure;
+    steps = recoveryPlanSteps(decoded.functionName, plan);
+  } else {
+    throw new CliError(`calldata is ${decoded.functionName}(), not an execution call`, EXIT_USAGE);
+  }
+
+  const report: DecodeReport = { functionName: decoded.functionName, wallet, continueOnFailure, expectedDestination, flagged: 0, calls: [] };
+  for (const call of steps) {
+    const inner = call.decoded;
+    const warnings: string[] = [];
+    if (inner.action === "unknown" || inner.action === "malformed") warnings.push("cannot be decoded");
+    if (inner.receiver && expectedDestination && inner.receiver.toLowerCase() !== expectedDestination.toLowerCase()) {
+      warnings.push(`recipient ${inner.receiver} is NOT the expected destination`);
+    }
+    if (inner.owner && inner.owner.toLowerCase() !== wallet.toLowerCase()) warnings.push(`takes funds from ${inner.owner}`);
+    if (warnings.length > 0) report.flagged++;
+    report.calls.push({
+      target: call.target,
+      signatory: call.signatory,
+      deadline: call.deadline.toString(),
+      decoded: inner,
+      warnings,
     });
   }
+  return report;
+}
 
-  const signedCalls: CallPayload[] = [];
+/**
+ * Reads any bundle this toolkit produces: a plan file from `scan`/`sign`, the JSON printed by
+ * `execute --dry-run`, or the frontend's "Download plan (JSON)". The latter two become a signed plan;
+ * their `executeSignedCallsCalldata` (`executeRecoveryPlanCalldata` for an adapter sweep) is returned
+ * alongside so `verify` can re-encode and compare it.
+ */
+function loadBundle(path: string): { plan: UnsignedPlanFile | SignedPlanFile; calldata: Hex | null } {
+  const json = loadJson<Record<string, any>>(path);
+  if (json.format === UNSIGNED_FORMAT || json.format === SIGNED_FORMAT) {
+    return { plan: json as UnsignedPlanFile | SignedPlanFile, calldata: null };
+  }
 
-  for (let i = 0; i < unsignedCalls.length; i++) {
-    const nonce = currentNonce + BigInt(i);
-    const call = unsignedCalls[i];
+  const input = json.executeSignedCallsInput ?? json;
+  if (!Array.isArray(input.calls) || input.calls.length === 0 || json.chainId === undefined || json.walletNonce === undefined) {
+    throw new CliError(`${path} is not a plan file or signed bundle (needs chainId, walletNonce and signed calls)`, EXIT_USAGE);
+  }
 
-    const signature = await walletClient.signTypedData({
-      account,
-      domain: {
-        name: "Cadmos UserWallet",
-        version: "1",
-        chainId,
-        verifyingContract: config.wallet,
-      },
-      types: {
-        Request: [
-          { name: "target", type: "address" },
-          { name: "value", type: "uint256" },
-          { name: "deadline", type: "uint256" },
-          { name: "nonce", type: "uint256" },
-          { name: "data", type: "bytes" },
-        ],
-      },
-      primaryType: "Request",
-      message: {
-        target: call.target,
-        value: 0n,
-        deadline: call.deadline,
-        nonce,
-        data: call.data,
+  const chainId = Number(json.chainId);
+  const wallet = getAddress(input.wallet ?? json.wallet);
+  const calls: SignedPlanFile["calls"] = input.calls.map((call: Record<string, string>, i: number) => {
+    const planCall = {
+      target: getAddress(call.target),
+      value: String(call.value ?? "0"),
+      data: call.data as Hex,
+      deadline: String(call.deadline),
+      nonce: String(call.nonce ?? BigInt(json.walletNonce) + BigInt(i)),
+      note: call.note ?? json.callPlanNotes?.[i] ?? "",
+      digest: "0x" as Hex,
+      signatory: getAddress(call.signatory),
+      signature: call.signature as Hex,
+    };
+    planCall.digest = (call.digest ?? json.digests?.[i] ?? planCallDigest({ chainId, wallet }, planCall)) as Hex;
+    return planCall;
+  });
+
+  return {
+    plan: {
+      format: SIGNED_FORMAT,
+      createdAt: json.createdAt ?? "",
+      chainId,
+      controller: getAddress(json.controller),
+      wallet,
+      signatory: calls[0].signatory,
+      destination: json.destination ? getAddress(json.destination) : calls[0].signatory,
+      destinationWarnings: json.destinationWarnings ?? [],
+      // Left as found: `verifyPlan` reports a missing flag rather than guess which calldata was signed.
+      continueOnFailure: input.continueOnFailure ?? json.continueOnFailure,
+      mode: normalizeMode(json.mode ?? "standard"),
+      walletNonce: String(json.walletNonce),
+      calls,
+      simulations: json.simulations ?? [],
+      droppedCalls: json.droppedCalls ?? [],
+      planNotes: json.planNotes ?? [],
+      ...(json.sweep ? { sweep: json.sweep as SweepPlan } : {}),
+    },
+    calldata: (json.sweep ? json.executeRecoveryPlanCalldata : json.executeSignedCallsCalldata) ?? null,
+  };
+}
+
+/**
+ * Checks a plan file without trusting any of its derived fields: digests are recomputed, nonces must be
+ * contiguous from `walletNonce`, deadlines must be in the future, and (for signed plans) every signature
+ * must recover to the plan's signatory, and `continueOnFailure` must be stated as a boolean. With a client it
+ * also checks the chain ID and the live wallet nonce.
+ * An adapter sweep's calls must be exactly the steps its plan function rebuilds, and with a client its
+ * adapter must be the controller's.
+ */
+async function verifyPlan(
+  plan: UnsignedPlanFile | SignedPlanFile,
+  publicClient?: PublicClient,
+  calldata: Hex | null = null
+): Promise<VerifyReport> {
+  if (plan.format !== UNSIGNED_FORMAT && plan.format !== SIGNED_FORMAT) {
+    throw new CliError(`expected a ${UNSIGNED_FORMAT} or ${SIGNED_FORMAT} file, got ${plan.format ?? "unknown format"}`, EXIT_USAGE);
+  }
+
+  const problems: string[] = [];
+  const now = BigInt(Math.floor(Date.now() / 1000));
+  const calls: VerifyReport["calls"] = [];
+
+  for (let i = 0; i < plan.calls.length; i++) {
+    const call = plan.calls[i];
+    const callProblems: string[] = [];
+
+    if (BigInt(call.nonce) !== BigInt(plan.walletNonce) + BigInt(i)) {
+      callProblems.push(`nonce ${call.nonce} is not contiguous from walletNonce ${plan.walletNonce}`);
+    }
+    const digest = planCallDigest(plan, call);
+    if (digest !== call.digest) {
+      callProblems.push(`digest mismatch: file says ${call.digest}, fields hash to ${digest}`);
+    }
+    if (BigInt(call.deadline) <= now) {
+      callProblems.push(`deadline ${call.deadline} has passed`);
+    }
+
+    let signer: Address | null = null;
+    if (plan.format === SIGNED_FORMAT) {
+      const signed = call as SignedPlanFile["calls"][number];
+      try {
+        signer = await recoverTypedDataAddress({
+          ...requestTypedData(plan.chainId, plan.wallet, planCallRequest(call), BigInt(call.nonce)),
+          signature: signed.signature,
+        });
+      } catch (error) {
+        callProblems.push(`signature does not parse: ${(error as Error).message.split("\n")[0]}`);
+      }
+      if (signer && signer.toLowerCase() !== plan.signatory.toLowerCase()) {
+        callProblems.push(`signed by ${signer}, not plan.signatory ${plan.signatory}`);
+      }
+      if (signed.signatory.toLowerCase() !== plan.signatory.toLowerCase()) {
+        callProblems.push(`call.signatory ${signed.signatory} differs from plan.signatory ${plan.signatory}`);
+      }
+    }
+
+    const decoded = decodeCall(call.target, call.data);
+    if (decoded.action === "unknown" || decoded.action === "malformed") {
+      callProblems.push(`cannot verify what it does: ${decoded.description}`);
+    }
+    if (decoded.owner && decoded.owner.toLowerCase() !== plan.wallet.toLowerCase()) {
+      callProblems.push(`takes funds from ${decoded.owner}, not the wallet`);
+    }
+    const sweepApproval =
+      plan.sweep && decoded.action === "approve" && decoded.receiver?.toLowerCase() === plan.sweep.adapter.toLowerCase();
+    if (decoded.receiver && decoded.receiver.toLowerCase() !== plan.destination.toLowerCase() && !sweepApproval) {
+      callProblems.push(`sends funds to ${decoded.receiver}, not the destination ${plan.destination}`);
+    }
+
+    calls.push({ nonce: call.nonce, note: call.note, digest: call.digest, signer, decoded, problems: callProblems });
+    problems.push(...callProblems.map((problem) => `call #${i}: ${problem}`));
+  }
+  if (plan.sweep) {
+    problems.push(...checkSweepCalls(parseSweep(plan.sweep), plan.destination, plan.calls));
+  }
+  const statesContinue = typeof plan.continueOnFailure === "boolean";
+  if (!statesContinue) {
+    problems.push(`continueOnFailure is ${JSON.stringify(plan.continueOnFailure) ?? "missing"}; it must be true or false`);
+  }
+
+  let liveNonce: bigint | null = null;
+  if (publicClient) {
+    const chainId = await publicClient.getChainId();
+    if (chainId !== plan.chainId) {
+      problems.push(`RPC is on chain ${chainId} but the plan is for chain ${plan.chainId}`);
+    }
+    liveNonce = await publicClient.readContract({ address: plan.wallet, abi: walletAbi, functionName: "nonce" });
+    if (liveNonce.toString() !== plan.walletNonce) {
+      problems.push(`wallet nonce is ${liveNonce} but the plan starts at ${plan.walletNonce}; scan again`);
+    }
+    if (plan.sweep) {
+      const adapter = await safeRead(
+        () => publicClient.readContract({ address: plan.controller, abi: controllerAbi, functionName: "adapter" }),
+        null
+      );
+      if (adapter?.toLowerCase() !== plan.sweep.adapter.toLowerCase()) {
+        problems.push(`sweep adapter ${plan.sweep.adapter} is not the controller's adapter (${adapter ?? "unreadable"})`);
+      }
+    }
+  }
+
+  let calldataCheck: VerifyReport["calldata"] = null;
+  if (plan.format === SIGNED_FORMAT && statesContinue) {
+    const reencoded: Hex = plan.sweep
+      ? encodeExecuteRecoveryPlan({ ...plan, sweep: parseSweep(plan.sweep) })
+      : encodeExecuteSignedCalls(plan.wallet, plan.calls, plan.continueOnFailure);
+    calldataCheck = { reencoded, matches: calldata === null ? null : calldata.toLowerCase() === reencoded.toLowerCase() };
+    if (calldataCheck.matches === false) {
+      const field = plan.sweep ? "executeRecoveryPlanCalldata" : "executeSignedCallsCalldata";
+      problems.push(`${field} does not match the signed calls in the bundle`);
+    }
+  }
+
+  return {
+    ok: problems.length === 0,
+    format: plan.format,
+    chainId: plan.chainId,
+    wallet: plan.wallet,
+    walletNonce: plan.walletNonce,
+    liveNonce: liveNonce === null ? null : liveNonce.toString(),
+    calldata: calldataCheck,
+    problems,
+    calls,
+  };
+}
+
+function assertVerified(report: VerifyReport) {
+  if (!report.ok) {
+    throw new CliError(`plan failed verification:\n  - ${report.problems.join("\n  - ")}`, EXIT_VERIFY_FAILED);
+  }
+}
+
+// Offline stage: signs an unsigned plan without any network access. A plan that fails `verifyPlan` is refused.
+async function signUnsignedPlan(plan: UnsignedPlanFile, account: LocalAccount): Promise<SignedPlanFile> {
+  if (plan.format !== UNSIGNED_FORMAT) {
+    throw new CliError(`expected a ${UNSIGNED_FORMAT} file, got ${plan.format ?? "unknown format"}`, EXIT_USAGE);
+  }
+  if (account.address.toLowerCase() !== plan.signatory.toLowerCase()) {
+    throw new CliError(`signing key ${account.address} does not match plan.signatory ${plan.signatory}`, EXIT_USAGE);
+  }
+  assertVerified(await verifyPlan(plan));
+
+  const signatures: Array<{ signature: Hex }> = await signRecoveryCalls(
+    {
+      chainId: plan.chainId,
+      wallet: plan.wallet,
+      signatory: plan.signatory,
+      walletNonce: BigInt(plan.walletNonce),
+      calls: plan.calls.map(planCallRequest),
+    },
+    (typedData: Parameters<LocalAccount["signTypedData"]>[0]) => account.signTypedData(typedData)
+  );
+  const signedCalls: SignedPlanFile["calls"] = plan.calls.map((call, i) => ({
+    ...call,
+    signatory: plan.signatory,
+    signature: signatures[i].signature,
+  }));
+
+  // External and hardware signers are not trusted to have signed what they were shown.
+  const signed: SignedPlanFile = { ...plan, format: SIGNED_FORMAT, calls: signedCalls };
+  assertVerified(await verifyPlan(signed));
+  return signed;
+}
+
+// A signed plan as the shared bundle helpers take it: `sweep` with its amounts parsed.
+function bundleOf(signed: SignedPlanFile) {
+  return { ...signed, sweep: signed.sweep && parseSweep(signed.sweep) };
+}
+
+// Final `executeSignedCalls` (or `executeRecoveryPlan*`) payload, in the bundle shape the frontend also
+// writes and imports. Callers verify the signed plan first.
+function buildPayload(signed: SignedPlanFile) {
+  const notes = signed.sweep
+    ? [
+        "Adapter sweep: UserWallet approves the controller's adapter on each token, then the adapter pulls the balances.",
+        `The adapter reads balances when the plan executes and sends them to ${signed.destination}.`,
+        `Submit only through ${signed.sweep.functionName}: the approvals must never run without the sweep after them.`,
+      ]
+    : [
+        "Direct mode: UserWallet calls Cadmos/ERC20 contracts directly. No approvals needed.",
+        `Every withdraw/redeem/transfer sends funds to ${signed.destination}.`,
+        "Call order must remain unchanged or signatures fail (nonce mismatch).",
+        "If wallet balances change before execution, regenerate signatures.",
+      ];
+  return {
+    ...serializeBundle({ ...bundleOf(signed), simulations: undefined }),
+    simulations: signed.simulations,
+    notes,
+  };
+}
+
+// Reads one line from stdin without echoing it when stdin is a terminal.
+async function promptSecret(question: string): Promise<string> {
+  process.stderr.write(question);
+
+  if (!process.stdin.isTTY) {
+    const lines = createInterface({ input: process.stdin });
+    for await (const line of lines) {
+      lines.close();
+      return line.trim();
+    }
+    return "";
+  }
+
+  return new Promise((resolvePrompt, rejectPrompt) => {
+    let secret = "";
+    const finish = () => {
+      process.stdin.off("data", onData);
+      process.stdin.setRawMode(false);
+      process.stdin.pause();
+      process.stderr.write("\n");
+    };
+    const onData = (chunk: string) => {
+      for (const char of chunk) {
+        if (char === "\r" || char === "\n") {
+          finish();
+          resolvePrompt(secret.trim());
+          return;
+        }
+        if (char === "\u0003") {
+          finish();
+          rejectPrompt(new CliError("cancelled", EXIT_USAGE));
+          return;
+        }
+        secret = char === "\u007f" ? secret.slice(0, -1) : secret + char;
+      }
+    };
+    process.stdin.setRawMode(true);
+    process.stdin.setEncoding("utf8");
+    process.stdin.on("data", onData);
+    process.stdin.resume();
+  });
+}
+
+async function secretFromEnvOrPrompt(envName: string | undefined, question: string): Promise<string> {
+  const fromEnv = envName ? process.env[envName] : undefined;
+  if (fromEnv) return fromEnv.trim();
+  return promptSecret(question);
+}
+
+// Web3 Secret Storage (V3): scrypt or pbkdf2-sha256, aes-128-ctr, keccak256 MAC.
+function decryptKeystore(keystore: KeystoreV3, passphrase: string): Hex {
+  const crypto = keystore.crypto ?? (keystore as unknown as { Crypto: KeystoreV3["crypto"] }).Crypto;
+  if (keystore.version !== 3 || !crypto) {
+    throw new CliError("keystore is not a version 3 JSON keystore", EXIT_USAGE);
+  }
+
+  const { kdf, kdfparams } = crypto;
+  const salt = Buffer.from(kdfparams.salt, "hex");
+  let derivedKey: Buffer;
+  if (kdf === "scrypt") {
+    const N = kdfparams.n!;
+    const r = kdfparams.r!;
+    const p = kdfparams.p!;
+    derivedKey = scryptSync(passphrase, salt, kdfparams.dklen, { N, r, p, maxmem: 256 * N * r * p });
+  } else if (kdf === "pbkdf2" && kdfparams.prf === "hmac-sha256") {
+    derivedKey = pbkdf2Sync(passphrase, salt, kdfparams.c!, kdfparams.dklen, "sha256");
+  } else {
+    throw new CliError(`unsupported keystore kdf ${kdf}${kdfparams.prf ? ` (${kdfparams.prf})` : ""}`, EXIT_USAGE);
+  }
+
+  const ciphertext = Buffer.from(crypto.ciphertext, "hex");
+  const mac = keccak256(concat([derivedKey.subarray(16, 32), ciphertext]));
+  if (mac.slice(2) !== crypto.mac.toLowerCase()) {
+    throw new CliError("wrong keystore passphrase (MAC mismatch)", EXIT_USAGE);
+  }
+  if (crypto.cipher !== "aes-128-ctr") {
+    throw new CliError(`unsupported keystore cipher ${crypto.cipher}`, EXIT_USAGE);
+  }
+
+  const decipher = createDecipheriv("aes-128-ctr", derivedKey.subarray(0, 16), Buffer.from(crypto.cipherparams.iv, "hex"));
+  return `0x${Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString("hex")}`;
+}
+
+// Frame/Clef-style signer reached over JSON-RPC. It only ever sees `eth_signTypedData_v4` requests.
+async function externalSigner(url: string, expected?: Address): Promise<LocalAccount> {
+  const client = createWalletClient({ transport: http(url) });
+  const addresses = await client.getAddresses();
+  const address = expected
+    ? addresses.find((candidate) => candidate.toLowerCase() === expected.toLowerCase())
+    : addresses[0];
+  if (!address) {
+    throw new CliError(
+      `external signer at ${url} does not expose ${expected ?? "any account"} (eth_accounts: ${addresses.join(", ") || "none"})`,
+      EXIT_USAGE
+    );
+  }
+
+  const unsupported = (what: string) => async (): Promise<Hex> => {
+    throw new CliError(`the external signer is only used for EIP-712 requests, not ${what}`, EXIT_USAGE);
+  };
+  return toAccount({
+    address,
+    signMessage: unsupported("messages"),
+    signTransaction: unsupported("transactions"),
+    signTypedData: (typedData) => client.signTypedData({ ...(typedData as Parameters<typeof client.signTypedData>[0]), account: address }),
+  });
+}
+
+/**
+ * Builds an account from a signer config, falling back to a plaintext `privateKey`.
+ * Keystore passphrases and mnemonics come from the named environment variable, else from stdin.
+ */
+async function loadAccount(signer: SignerConfig | undefined, privateKey: Hex | undefined, expected?: Address): Promise<LocalAccount> {
+  let account: LocalAccount;
+  switch (signer?.type) {
+    case "keystore": {
+      const keystore = loadJson<KeystoreV3>(signer.file);
+      const passphrase = await secretFromEnvOrPrompt(signer.passphraseEnv, `Passphrase for ${signer.file}: `);
+      account = privateKeyToAccount(decryptKeystore(keystore, passphrase));
+      break;
+    }
+    case "mnemonic": {
+      const mnemonic = await secretFromEnvOrPrompt(signer.mnemonicEnv, "Mnemonic: ");
+      const path = (signer.derivationPath || DEFAULT_DERIVATION_PATH) as `m/44'/60'/${string}`;
+      try {
+        account = mnemonicToAccount(mnemonic.split(/\s+/).join(" "), { path });
+      } catch (error) {
+        throw new CliError(`invalid mnemonic: ${(error as Error).message.split("\n")[0]}`, EXIT_USAGE);
+      }
+      break;
+    }
+    case "external":
+      return externalSigner(signer.url, expected);
+    default:
+      account = privateKeyToAccount(privateKey!);
+  }
+
+  if (expected && account.address.toLowerCase() !== expected.toLowerCase()) {
+    throw new CliError(`signing key resolves to ${account.address}, expected signatory ${expected}`, EXIT_USAGE);
+  }
+  return account;
+}
+
+function loadSigner(config: Config, expected: Address | undefined = config.signatory): Promise<LocalAccount> {
+  return loadAccount(config.signer, config.privateKey, expected);
+}
+
+// A config holding a key must never be committed; `git ls-files` exits 0 only for tracked paths.
+function isTrackedByGit(path: string): boolean {
+  const result = spawnSync("git", ["ls-files", "--error-unmatch", "--", basename(path)], {
+    cwd: dirname(resolve(path)),
+    stdio: "ignore",
+  });
+  return result.status === 0;
+}
+
+// What `simulateExecution` returns: an eth_call of the whole `executeSignedCalls` (or `executeRecoveryPlan*`).
+type ExecutionSimulation = {
+  functionName: string;
+  revert: string | null;
+  calls: Array<{ note: string; success: boolean; returnData: Hex }>;
+};
+
+type CallResult = {
+  index: number;
+  nonce: string;
+  note: string;
+  target: Address;
+  success: boolean;
+  returnData: Hex;
+  transactionHash: Hex;
+};
+
+// One `CadmosRecoveryResult`/`ERC20RecoveryResult` of an adapter sweep; amounts in base units.
+type AdapterResult = {
+  kind: string;
+  asset: Address;
+  balance: string | null;
+  requested: string;
+  attempted: string;
+  success: boolean;
+  note: string;
+  transactionHash: Hex;
+};
+
+// Contents of the results file; rewritten after every batch so an interrupted run still leaves a record.
+type ExecutionReport = {
+  chainId: number;
+  wallet: Address;
+  controller: Address;
+  destination: Address;
+  gasPayer: Address;
+  batchSize: number;
+  transactions: Array<{ hash: Hex; status: "success" | "reverted"; blockNumber: string; gasUsed: string; calls: number }>;
+  results: CallResult[];
+  // Adapter sweeps only: what the adapter moved per asset.
+  adapterResults?: AdapterResult[];
+  notExecuted: string[];
+};
+
+function decodeWalletCallEvents(receipt: TransactionReceipt, controller: Address): Map<number, { success: boolean; returnData: Hex }> {
+  const events = new Map<number, { success: boolean; returnData: Hex }>();
+  for (const log of receipt.logs) {
+    if (log.address.toLowerCase() !== controller.toLowerCase()) continue;
+    try {
+      const decoded = decodeEventLog({ abi: controllerAbi, data: log.data, topics: log.topics });
+      if (decoded.eventName === "WalletCallExecuted") {
+        events.set(Number(decoded.args.index), { success: decoded.args.success, returnData: decoded.args.returnData });
+      }
+    } catch {
+      // Not a controller event we know.
+    }
+  }
+  return events;
+}
+
+// Calls `start..end` of a plan, with `walletNonce` moved to the first of them.
+function slicePlan<T extends UnsignedPlanFile | SignedPlanFile>(plan: T, start: number, end?: number): T {
+  return {
+    ...plan,
+    walletNonce: (BigInt(plan.walletNonce) + BigInt(start)).toString(),
+    calls: plan.calls.slice(start, end),
+    simulations: plan.simulations.slice(start, end),
+  };
+}
+
+// Same targets, data and deadlines, renumbered from `nonce` and signed again.
+async function resignFrom(plan: SignedPlanFile, nonce: bigint, account: LocalAccount): Promise<SignedPlanFile> {
+  const unsigned: UnsignedPlanFile = {
+    ...plan,
+    format: UNSIGNED_FORMAT,
+    walletNonce: nonce.toString(),
+    calls: plan.calls.map(({ signatory, signature, ...call }, i) => {
+      const renumbered = { ...call, nonce: (nonce + BigInt(i)).toString() };
+      return { ...renumbered, digest: planCallDigest(plan, renumbered) };
+    }),
+  };
+  printDigests(unsigned);
+  return signUnsignedPlan(unsigned, account);
+}
+
+/**
+ * Sends the plan as one `executeSignedCalls` per `batchSize` calls. A failed call does not consume its
+ * nonce, so when the live nonce is not where the next batch expects it, the remaining calls are re-signed
+ * from the live nonce before sending. A batch whose simulation has a failing call ends at that call.
+ * Stops at the first reverted transaction. An adapter sweep is always one `executeRecoveryPlan*`
+ * transaction, and is refused when a step before its last would fail.
+ */
+async function broadcastPlan(
+  rpcUrl: string,
+  signed: SignedPlanFile,
+  payer: LocalAccount,
+  batchSize: number,
+  resultsPath: string,
+  getSigner: () => Promise<LocalAccount>
+): Promise<ExecutionReport> {
+  const publicClient = createPublicClient({ transport: http(rpcUrl) });
+  const walletClient = createWalletClient({ account: payer, transport: http(rpcUrl) });
+  const report: ExecutionReport = {
+    chainId: signed.chainId,
+    wallet: signed.wallet,
+    controller: signed.controller,
+    destination: signed.destination,
+    gasPayer: payer.address,
+    batchSize,
+    transactions: [],
+    results: [],
+    notExecuted: signed.calls.map((call) => call.note),
+    ...(signed.sweep ? { adapterResults: [] } : {}),
+  };
+
+  let remaining = signed;
+  let offset = 0;
+  try {
+    while (remaining.calls.length > 0) {
+      if (offset > 0) {
+        const liveNonce = await publicClient.readContract({ address: signed.wallet, abi: walletAbi, functionName: "nonce" });
+        if (liveNonce.toString() !== remaining.walletNonce) {
+          console.error(`Wallet nonce is ${liveNonce}, expected ${remaining.walletNonce}; re-signing the ${remaining.calls.length} remaining call(s).`);
+          remaining = await resignFrom(remaining, liveNonce, await getSigner());
+        }
+      }
+
+      let batch = slicePlan(remaining, 0, batchSize);
+      assertVerified(await verifyPlan(batch, publicClient));
+      const simulation: ExecutionSimulation = await simulateExecution(publicClient, bundleOf(batch), payer.address);
+      console.error(simulationText(simulation));
+      if (simulation.revert !== null) {
+        throw new CliError(
+          `refusing to broadcast the batch starting at call #${offset}: ${simulation.functionName} would revert (${simulation.revert})`,
+          EXIT_EXECUTION_FAILED
+        );
+      }
+      // The calls signed after a failing one would fail their nonce check, so the batch ends at it and the
+      // rest is re-signed from the live nonce. A sweep cannot be split.
+      const gap = firstNonceGap(simulation.calls.map((call) => call.success));
+      if (gap >= 0 && batch.sweep) {
+        throw new CliError(
+          `refusing to broadcast: sweep step #${gap} would fail and leave the ${batch.calls.length - gap - 1} step(s) after it unusable`,
+          EXIT_EXECUTION_FAILED
+        );
+      }
+      if (gap >= 0) {
+        console.error(`Call #${offset + gap} would fail; this batch ends there and the calls after it are re-signed.`);
+        batch = slicePlan(batch, 0, gap + 1);
+      }
+
+      const hash = await walletClient.writeContract({
+        chain: null,
+        address: batch.controller,
+        abi: controllerAbi,
+        ...controllerExecution(bundleOf(batch)),
+      } as Parameters<typeof walletClient.writeContract>[0]);
+      console.error(`Batch ${report.transactions.length + 1}: sent ${hash}, waiting for the receipt...`);
+      const receipt = await publicClient.waitForTransactionReceipt({ hash });
+      const events = decodeWalletCallEvents(receipt, batch.controller);
+
+      report.transactions.push({
+        hash,
+        status: receipt.status,
+        blockNumber: receipt.blockNumber.toString(),
+        gasUsed: receipt.gasUsed.toString(),
+        calls: batch.calls.length,
+      });
+      batch.calls.forEach((call, i) => {
+        const event = events.get(i);
+        report.results.push({
+          index: offset + i,
+          nonce: call.nonce,
+          note: call.note,
+          target: call.target,
+          success: receipt.status === "success" && (event?.success ?? false),
+          returnData: event?.returnData ?? "0x",
+          transactionHash: hash,
+        });
+      });
+      for (const result of batch.sweep ? decodeAdapterResults(receipt.logs, batch.sweep.adapter) : []) {
+        report.adapterResults!.push({
+          kind: result.kind,
+          asset: result.asset,
+          balance: result.balance === null ? null : result.balance.toString(),
+          requested: result.requested.toString(),
+          attempted: result.attempted.toString(),
+          success: result.success,
+          note: describeAdapterResult(result),
+          transactionHash: hash,
+        });
+      }
+
+      offset += batch.calls.length;
+      remaining = slicePlan(remaining, batch.calls.length);
+      report.notExecuted = remaining.calls.map((call) => call.note);
+      writeJson(resultsPath, report);
+      if (receipt.status !== "success") break;
+    }
+  } catch (error) {
+    writeJson(resultsPath, report);
+    throw error;
+  }
+
+  return report;
+}
+
+function executionFailed(simulation: ExecutionSimulation): boolean {
+  return simulation.revert !== null || simulation.calls.some((call) => !call.success);
+}
+
+type PlanCallState = "consumed" | "next" | "pending" | "expired";
+
+function planCallStates(plan: UnsignedPlanFile | SignedPlanFile, liveNonce: bigint): PlanCallState[] {
+  const now = BigInt(Math.floor(Date.now() / 1000));
+  return plan.calls.map((call) => {
+    const nonce = BigInt(call.nonce);
+    if (nonce < liveNonce) return "consumed";
+    if (BigInt(call.deadline) <= now) return "expired";
+    return nonce === liveNonce ? "next" : "pending";
+  });
+}
+
+// "ready" and "executed" are the only states a runbook can move on from.
+function planState(plan: UnsignedPlanFile | SignedPlanFile, liveNonce: bigint, states: PlanCallState[]) {
+  const start = BigInt(plan.walletNonce);
+  if (liveNonce >= start + BigInt(plan.calls.length)) return "executed";
+  if (liveNonce !== start) return liveNonce > start ? "partial" : "stale";
+  return states.includes("expired") ? "expired" : "ready";
+}
+
+function planText(plan: UnsignedPlanFile | SignedPlanFile): string {
+  return [
+    `${plan.format}: ${plan.calls.length} call(s) on chain ${plan.chainId}`,
+    `wallet       ${plan.wallet}`,
+    `signatory    ${plan.signatory}`,
+    `destination  ${plan.destination}`,
+    `walletNonce  ${plan.walletNonce}`,
+    ...(plan.sweep ? [`sweep        ${plan.sweep.functionName} via adapter ${plan.sweep.adapter}`] : []),
+    ...plan.destinationWarnings.map((warning) => `WARNING: ${warning}`),
+    ...(plan.nativeBalance && plan.nativeBalance !== "0" ? [`WARNING: ${nativeWarning(BigInt(plan.nativeBalance), plan.chainId)}`] : []),
+    ...plan.calls.map((call, i) =>
+      [`#${i} nonce=${call.nonce} ${call.note}`, `   digest ${call.digest}`, ...(plan.simulations[i] ? [`   ${plan.simulations[i].result}`] : [])].join("\n")
+    ),
+    ...plan.droppedCalls.map((note) => `dropped (predicted revert): ${note}`),
+  ].join("\n");
+}
+
+function verifyText(report: VerifyReport): string {
+  return [
+    `${report.ok ? "OK" : "FAILED"}: ${report.format}, ${report.calls.length} call(s), wallet ${report.wallet} on chain ${report.chainId}`,
+    `walletNonce ${report.walletNonce}, live nonce ${report.liveNonce ?? "not checked"}`,
+    ...(report.calldata
+      ? [`calldata ${report.calldata.matches === null ? "not in bundle (re-encoded)" : report.calldata.matches ? "matches" : "DOES NOT MATCH"}`]
+      : []),
+    ...report.calls.map((call, i) =>
+      [
+        `#${i} nonce=${call.nonce} ${call.problems.length === 0 ? "ok" : "FAIL"} ${call.decoded.description}${call.decoded.receiver ? ` -> ${call.decoded.receiver}` : ""}`,
+        ...(call.note ? [`   note ${call.note}`] : []),
+        ...(call.signer ? [`   signer ${call.signer}`] : []),
+        ...call.problems.map((problem) => `   - ${problem}`),
+      ].join("\n")
+    ),
+    ...report.problems.filter((problem) => !problem.startsWith("call #")).map((problem) => `- ${problem}`),
+  ].join("\n");
+}
+
+function executionText(report: ExecutionReport): string {
+  return [
+    ...report.transactions.map(
+      (tx, i) => `batch ${i + 1}: ${tx.hash} ${tx.status} in block ${tx.blockNumber} (${tx.calls} call(s), gas ${tx.gasUsed})`
+    ),
+    ...report.results.map((result) => `#${result.index} nonce=${result.nonce} ${result.success ? "ok" : "FAILED"} ${result.note}`),
+    ...(report.adapterResults ?? []).map((result) => `${result.success ? "ok" : "FAILED"} ${result.note}`),
+    ...report.notExecuted.map((note) => `not executed: ${note}`),
+  ].join("\n");
+}
+
+function decodeText(report: DecodeReport): string {
+  return [
+    `${report.functionName} calldata: ${report.flagged === 0 ? "no warnings" : `${report.flagged} call(s) flagged`}`,
+    `wallet               ${report.wallet}`,
+    `continueOnFailure    ${report.continueOnFailure}`,
+    `expected destination ${report.expectedDestination ?? "not set (recipients not checked)"}`,
+    ...report.calls.map((call, i) =>
+      [
+        `#${i} ${call.decoded.description}`,
+        `   target ${call.target}, signatory ${call.signatory}`,
+        `   deadline ${new Date(Number(call.deadline) * 1000).toISOString()}, recipient ${call.decoded.receiver ?? "none"}`,
+        ...call.warnings.map((warning) => `   WARNING: ${warning}`),
+      ].join("\n")
+    ),
+  ].join("\n");
+}
+
+function simulationText(simulation: ExecutionSimulation): string {
+  if (simulation.revert !== null) return `${simulation.functionName} would revert: ${simulation.revert}`;
+  return simulation.calls.map((call, i) => `#${i} ${call.success ? "would succeed" : "WOULD FAIL"} ${call.note}`).join("\n");
+}
+
+const USAGE = `Usage: generateRecoveryPayloads.ts <command> [file] [options]
+
+Commands:
+  scan                    read-only: write an unsigned plan from live balances (no key needed)
+  sign [unsigned.json]    sign a plan (no network); without a file, scans first
+  verify <plan.json>      check digests, nonces, deadlines and signatures; add --rpc for the live nonce
+  execute [plan.json]     broadcast executeSignedCalls and write a results file; signs unsigned plans,
+                          and without a file scans and signs first
+  status [plan.json]      show the live wallet nonce and how far a plan has executed
+  decode <calldata|file>  decode executeSignedCalls or executeRecoveryPlan calldata (hex, or a JSON
+                          file with either calldata field) and flag unexpected recipients
+
+Options:
+  -c, --config <path>     config file; the flags below override it
+      --rpc <url>         overrides rpcUrl
+      --wallet <address>  overrides wallet
+      --token <address>   overrides tokens (repeatable; drops positional tokenAmounts caps)
+      --nft <collection:tokenId> overrides nfts (repeatable)
+  -o, --out <path>        write the JSON result to a file
+      --format json|text  stdout format (default json)
+      --dry-run           execute only: simulate and print the payload without broadcasting
+      --batch-size <n>    execute only: at most n calls per transaction (overrides batchSize)
+      --results <path>    execute only: results file (default recovery-results-<timestamp>.json)
+      --execute           with sign (or no command): sign, then broadcast like execute
+      --destination <addr> decode only: expected recipient (default: config destination, else signatory)
+  -h, --help
+
+Exit codes:
+  ${EXIT_OK} success
+  ${EXIT_FAILURE} unexpected error (RPC unreachable, ...)
+  ${EXIT_USAGE} bad arguments or invalid config
+  ${EXIT_NOTHING_TO_RECOVER} nothing to recover
+  ${EXIT_VERIFY_FAILED} plan failed verification (tampered, stale nonce, expired deadline, wrong signer)
+  ${EXIT_EXECUTION_FAILED} execution reverted, or a call failed or is predicted to fail`;
+
+type CliOptions = {
+  config?: string;
+  rpc?: string;
+  wallet?: string;
+  token?: string[];
+  nft?: string[];
+  out?: string;
+  format: "json" | "text";
+  dryRun: boolean;
+  execute: boolean;
+  batchSize?: string;
+  results?: string;
+  destination?: string;
+};
+
+function parseCli(argv: string[]) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        config: { type: "string", short: "c" },
+        rpc: { type: "string" },
+        wallet: { type: "string" },
+        token: { type: "string", multiple: true },
+        nft: { type: "string", multiple: true },
+        out: { type: "string", short: "o" },
+        format: { type: "string", default: "json" },
+        "dry-run": { type: "boolean", default: false },
+        execute: { type: "boolean", default: false },
+        "batch-size": { type: "string" },
+        results: { type: "string" },
+        destination: { type: "string" },
+        help: { type: "boolean", short: "h", default: false },
       },
     });
+  } catch (error) {
+    throw new CliError(`${(error as Error).message}\n\n${USAGE}`, EXIT_USAGE);
+  }
 
-    signedCalls.push({
-      target: call.target,
-      signatory: config.signatory,
-      data: call.data,
-      signature,
-      deadline: call.deadline.toString(),
-      nonce: nonce.toString(),
+  const { values, positionals } = parsed;
+  if (values.format !== "json" && values.format !== "text") {
+    throw new CliError(`--format must be json or text, got ${values.format}`, EXIT_USAGE);
+  }
+  const [command, ...files] = positionals;
+  const options: CliOptions = {
+    config: values.config,
+    rpc: values.rpc,
+    wallet: values.wallet,
+    token: values.token,
+    nft: values.nft,
+    out: values.out,
+    format: values.format,
+    dryRun: values["dry-run"],
+    execute: values.execute,
+    batchSize: values["batch-size"],
+    results: values.results,
+    destination: values.destination,
+  };
+  return { command, files, options, help: values.help };
+}
+
+// Config file (optional) with CLI flags layered on top, validated for what `required` lists.
+function resolveConfig(options: CliOptions, required: Array<keyof Config>): Config {
+  const raw = options.config ? loadJson<Record<string, unknown>>(options.config) : {};
+  if (typeof raw !== "object" || raw === null || Array.isArray(raw)) {
+    throw new CliError(`${options.config} must contain a JSON object`, EXIT_USAGE);
+  }
+  if (options.config && raw.privateKey && isTrackedByGit(options.config)) {
+    throw new CliError(
+      `${options.config} contains privateKey and is tracked by git. Move the key to a keystore or mnemonic signer, rotate it, and remove it from history.`,
+      EXIT_USAGE
+    );
+  }
+  // Keystore paths are relative to the config file, not the working directory.
+  for (const signer of [raw.signer, raw.gasPayer] as Array<Record<string, unknown> | undefined>) {
+    if (options.config && signer?.type === "keystore" && typeof signer.file === "string" && signer.file) {
+      signer.file = resolve(dirname(options.config), signer.file);
+    }
+  }
+
+  if (options.rpc) raw.rpcUrl = options.rpc;
+  if (options.wallet) raw.wallet = options.wallet;
+  if (options.batchSize) raw.batchSize = Number(options.batchSize);
+  if (options.token) {
+    // Positional caps no longer line up with the tokens; caps keyed by address still apply.
+    if (Array.isArray(raw.tokenAmounts)) {
+      if (raw.tokenAmounts.length > 0) {
+        console.error("WARNING: --token replaces config.tokens; positional config.tokenAmounts caps are ignored.");
+      }
+      raw.tokenAmounts = [];
+    }
+    raw.tokens = options.token;
+  }
+  if (options.nft) {
+    raw.nfts = options.nft.map((entry) => {
+      const [collection, tokenId] = entry.split(/[:,]/);
+      return { collection, tokenId };
     });
   }
 
-  const output = {
+  return validateConfig(raw, required, options.config ?? "command-line flags");
+}
+
+function output(options: CliOptions, result: unknown, text: string) {
+  if (options.out) {
+    writeJson(options.out, result);
+    if (options.format === "text") console.log(text);
+  } else if (options.format === "text") {
+    console.log(text);
+  } else {
+    writeJson(undefined, result);
+  }
+}
+
+function onlyFile(command: string, files: string[], required: boolean): string | undefined {
+  if (files.length > 1 || (required && files.length === 0)) {
+    throw new CliError(`${command} takes ${required ? "exactly" : "at most"} one file argument\n\n${USAGE}`, EXIT_USAGE);
+  }
+  return files[0];
+}
+
+async function scanAndSign(config: Config, account: LocalAccount): Promise<SignedPlanFile> {
+  const plan = await preparePlan(config);
+  printDigests(plan);
+  return signUnsignedPlan(plan, account);
+}
+
+async function runScan(options: CliOptions, files: string[]): Promise<number> {
+  if (files.length > 0) throw new CliError(`scan takes no file argument; use --config\n\n${USAGE}`, EXIT_USAGE);
+  const plan = await preparePlan(resolveConfig(options, SCAN_FIELDS));
+  printDigests(plan);
+  output(options, plan, planText(plan));
+  return EXIT_OK;
+}
+
+async function runSign(options: CliOptions, files: string[]): Promise<number> {
+  const file = onlyFile("sign", files, false);
+  let signed: SignedPlanFile;
+  if (file) {
+    const plan = loadJson<UnsignedPlanFile>(file);
+    printDigests(plan);
+    signed = await signUnsignedPlan(plan, await loadSigner(resolveConfig(options, ["signer"]), plan.signatory));
+  } else {
+    const config = resolveConfig(options, [...SCAN_FIELDS, "signer"]);
+    signed = await scanAndSign(config, await loadSigner(config));
+  }
+  output(options, signed, planText(signed));
+  return EXIT_OK;
+}
+
+async function runVerify(options: CliOptions, files: string[]): Promise<number> {
+  const { plan, calldata } = loadBundle(onlyFile("verify", files, true)!);
+  const config = resolveConfig(options, []);
+  printDigests(plan);
+  if (!config.rpcUrl) console.error("WARNING: no rpcUrl given, chain ID and live nonce not checked.");
+
+  const publicClient = config.rpcUrl ? createPublicClient({ transport: http(config.rpcUrl) }) : undefined;
+  const report = await verifyPlan(plan, publicClient, calldata);
+  output(options, report, verifyText(report));
+  return report.ok ? EXIT_OK : EXIT_VERIFY_FAILED;
+}
+
+async function runExecute(options: CliOptions, files: string[]): Promise<number> {
+  const file = onlyFile("execute", files, false);
+  const plan = file ? loadBundle(file).plan : null;
+
+  const needsSignatures = !plan || plan.format === UNSIGNED_FORMAT;
+  const config = resolveConfig(options, [...(plan ? ["rpcUrl" as const] : SCAN_FIELDS), ...(needsSignatures ? ["signer" as const] : [])]);
+  if (!options.dryRun && !config.gasPayer) {
+    if (!config.signer && !config.privateKey) {
+      throw new CliError("execute needs a gasPayer or signer in the config to pay for the transaction", EXIT_USAGE);
+    }
+    if (config.signer?.type === "external") {
+      throw new CliError("the external signer cannot pay for gas; set a gasPayer, or use --dry-run and submit the payload from another wallet", EXIT_USAGE);
+    }
+  }
+
+  // Loaded at most once, and only when something actually needs signing.
+  let signer: LocalAccount | null = null;
+  const getSigner = async () => (signer ??= await loadSigner(config, plan?.signatory ?? config.signatory));
+
+  let signed: SignedPlanFile;
+  if (!plan) {
+    signed = await scanAndSign(config, await getSigner());
+  } else if (plan.format === UNSIGNED_FORMAT) {
+    printDigests(plan);
+    signed = await signUnsignedPlan(plan, await getSigner());
+  } else {
+    signed = plan;
+    printDigests(signed);
+  }
+
+  const publicClient = createPublicClient({ transport: http(config.rpcUrl) });
+  assertVerified(await verifyPlan(signed, publicClient));
+
+  if (options.dryRun) {
+    const simulation: ExecutionSimulation = await simulateExecution(publicClient, bundleOf(signed), signed.signatory);
+    console.error(simulationText(simulation));
+    output(options, { ...buildPayload(signed), dryRun: simulation }, `${planText(signed)}\n\n${simulationText(simulation)}`);
+    return executionFailed(simulation) ? EXIT_EXECUTION_FAILED : EXIT_OK;
+  }
+
+  const payer = config.gasPayer ? await loadAccount(config.gasPayer, undefined) : await getSigner();
+  if (config.gasPayer) console.error(`Gas paid by ${payer.address}`);
+  const resultsPath = options.results ?? `recovery-results-${Date.now()}.json`;
+  if (signed.sweep && config.batchSize !== undefined && config.batchSize < signed.calls.length) {
+    console.error(`WARNING: batchSize is ignored for an adapter sweep; all ${signed.calls.length} calls go in one transaction.`);
+  }
+  const report = await broadcastPlan(
+    config.rpcUrl,
+    signed,
+    payer,
+    signed.sweep ? signed.calls.length : (config.batchSize ?? signed.calls.length),
+    resultsPath,
+    getSigner
+  );
+
+  output(options, report, executionText(report));
+  const complete =
+    report.notExecuted.length === 0 &&
+    report.results.every((result) => result.success) &&
+    (report.adapterResults ?? []).every((result) => result.success);
+  return complete ? EXIT_OK : EXIT_EXECUTION_FAILED;
+}
+
+async function runStatus(options: CliOptions, files: string[]): Promise<number> {
+  const file = onlyFile("status", files, false);
+  const plan = file ? loadBundle(file).plan : null;
+  const config = resolveConfig(options, plan ? ["rpcUrl"] : ["rpcUrl", "wallet"]);
+  const wallet = plan?.wallet ?? config.wallet;
+
+  const publicClient = createPublicClient({ transport: http(config.rpcUrl) });
+  const chainId = await publicClient.getChainId();
+  const liveNonce = await publicClient.readContract({ address: wallet, abi: walletAbi, functionName: "nonce" });
+
+  if (!plan) {
+    const result = { chainId, wallet, liveNonce: liveNonce.toString() };
+    output(options, result, `wallet ${wallet} on chain ${chainId}: nonce ${liveNonce}`);
+    return EXIT_OK;
+  }
+
+  if (chainId !== plan.chainId) {
+    throw new CliError(`RPC is on chain ${chainId} but the plan is for chain ${plan.chainId}`, EXIT_USAGE);
+  }
+  const states = planCallStates(plan, liveNonce);
+  const state = planState(plan, liveNonce, states);
+  const result = {
     chainId,
-    wallet: config.wallet,
-    controller: config.controller,
-    continueOnFailure: true,
-    mode: config.mode,
-    callPlanNotes: unsignedCalls.map((c) => c.note),
-    executeSignedCallsInput: {
-      wallet: config.wallet,
-      calls: signedCalls,
-      continueOnFailure: true,
-    },
-    notes: [
-      "Direct mode: UserWallet calls Cadmos/ERC20 contracts directly. No approvals needed.",
-      "Destination is the signatory wallet in this script mode.",
-      "Call order must remain unchanged or signatures fail (nonce mismatch).",
-      "If wallet balances change before execution, regenerate signatures.",
-    ],
+    wallet,
+    liveNonce: liveNonce.toString(),
+    walletNonce: plan.walletNonce,
+    state,
+    calls: plan.calls.map((call, i) => ({ nonce: call.nonce, note: call.note, state: states[i] })),
   };
+  output(
+    options,
+    result,
+    [
+      `plan ${state}: wallet ${wallet} live nonce ${liveNonce}, plan starts at ${plan.walletNonce}`,
+      ...result.calls.map((call) => `  nonce=${call.nonce} ${call.state} ${call.note}`),
+    ].join("\n")
+  );
+  return state === "ready" || state === "executed" ? EXIT_OK : EXIT_VERIFY_FAILED;
+}
+
+async function runDecode(options: CliOptions, files: string[]): Promise<number> {
+  const source = onlyFile("decode", files, true)!;
+  let calldata: string;
+  if (source.startsWith("0x")) {
+    calldata = source;
+  } else {
+    let text: string;
+    try {
+      text = readFileSync(source, "utf8").trim();
+    } catch (error) {
+      throw new CliError(`cannot read ${source}: ${(error as Error).message}`, EXIT_USAGE);
+    }
+    if (text.startsWith("0x")) {
+      calldata = text;
+    } else {
+      const json = loadJson<{ executeSignedCallsCalldata?: string; executeRecoveryPlanCalldata?: string }>(source);
+      calldata = json.executeRecoveryPlanCalldata ?? json.executeSignedCallsCalldata ?? "";
+    }
+  }
+  if (!/^0x[0-9a-fA-F]{8,}$/.test(calldata)) {
+    throw new CliError(`${source} does not contain 0x-prefixed calldata`, EXIT_USAGE);
+  }
 
-  console.log(JSON.stringify(output, null, 2));
+  const config = resolveConfig(options, []);
+  const expected = options.destination ?? config.destination ?? config.signatory ?? null;
+  if (expected !== null && !isAddress(expected, { strict: false })) {
+    throw new CliError(`--destination ${expected} is not an address`, EXIT_USAGE);
+  }
+
+  const report = decodeExecuteCalldata(calldata as Hex, expected === null ? null : getAddress(expected));
+  output(options, report, decodeText(report));
+  return report.flagged === 0 ? EXIT_OK : EXIT_VERIFY_FAILED;
+}
+
+async function main(): Promise<number> {
+  const { command, files, options, help } = parseCli(process.argv.slice(2));
+  if (help) {
+    console.log(USAGE);
+    return EXIT_OK;
+  }
+  // `--execute` turns a bare run or `sign` into sign-and-broadcast.
+  const resolved = options.execute && (command === undefined || command === "sign") ? "execute" : command;
+  if (options.execute && resolved !== "execute") {
+    throw new CliError("--execute only applies to sign", EXIT_USAGE);
+  }
+  if (resolved !== "execute") {
+    const flag = options.dryRun ? "--dry-run" : options.batchSize ? "--batch-size" : options.results ? "--results" : null;
+    if (flag) throw new CliError(`${flag} only applies to execute`, EXIT_USAGE);
+  }
+  if (options.destination && resolved !== "decode") {
+    throw new CliError("--destination only applies to decode; set destination in the config instead", EXIT_USAGE);
+  }
+
+  switch (resolved) {
+    case "scan":
+      return runScan(options, files);
+    case "sign":
+      return runSign(options, files);
+    case "verify":
+      return runVerify(options, files);
+    case "execute":
+      return runExecute(options, files);
+    case "status":
+      return runStatus(options, files);
+    case "decode":
+      return runDecode(options, files);
+    default:
+      throw new CliError(`${command ? `unknown command "${command}"` : "missing command"}\n\n${USAGE}`, EXIT_USAGE);
+  }
 }
 
-main().catch((err) => {
-  console.error(err);
-  process.exit(1);
-});
+main().then(
+  (code) => process.exit(code),
+  (err) => {
+    if (err instanceof CliError) {
+      console.error(`error: ${err.message}`);
+      process.exit(err.exitCode);
+    }
+    console.error(err);
+    process.exit(EXIT_FAILURE);
+  }
+);
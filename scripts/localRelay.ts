@@ -0,0 +1,76 @@
+// Local stand-in for the Cloudflare Worker: serves ./frontend and routes /relay through worker.js.
+// Usage: RELAYER_PRIVATE_KEY=0x... RELAY_WALLET_CODE_HASHES_<chainId>=0x... [RELAY_RPC_URL_<chainId>=...] npm run relay:local -- [port]
+import { createServer } from "node:http";
+import { readFile } from "node:fs/promises";
+import { extname, join, normalize, resolve } from "node:path";
+import worker, { RelayRateLimiter } from "../worker.js";
+
+const FRONTEND_DIR = resolve(import.meta.dirname, "../frontend");
+const CONTENT_TYPES: Record<string, string> = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".json": "application/json",
+  ".svg": "image/svg+xml",
+  ".png": "image/png",
+};
+
+// Mirrors the Workers static assets binding closely enough for local testing.
+const ASSETS = {
+  async fetch(request: Request): Promise<Response> {
+    const { pathname } = new URL(request.url);
+    const relative = normalize(decodeURIComponent(pathname)).replace(/^([/\\]|\.\.)+/, "");
+    const file = join(FRONTEND_DIR, relative === "" || relative.endsWith("/") ? `${relative}index.html` : relative);
+    if (!file.startsWith(FRONTEND_DIR)) return new Response("Not found", { status: 404 });
+    try {
+      const body = await readFile(file);
+      return new Response(body, { headers: { "content-type": CONTENT_TYPES[extname(file)] ?? "application/octet-stream" } });
+    } catch {
+      return new Response("Not found", { status: 404 });
+    }
+  },
+};
+
+// Mirrors the RelayRateLimiter Durable Object binding with one in-memory object per name, so counts
+// last until the process exits.
+const limiters = new Map<string, RelayRateLimiter>();
+const RELAY_RATE_LIMITER = {
+  idFromName: (name: string) => name,
+  get(id: string) {
+    if (!limiters.has(id)) {
+      const values = new Map<string, unknown>();
+      const storage = {
+        get: async (key: string) => values.get(key),
+        put: async (key: string, value: unknown) => void values.set(key, value),
+        deleteAll: async () => values.clear(),
+        setAlarm: async () => {},
+      };
+      limiters.set(id, new RelayRateLimiter({ storage }));
+    }
+    const limiter = limiters.get(id)!;
+    return { fetch: (url: string, init: RequestInit) => limiter.fetch(new Request(url, init)) };
+  },
+};
+
+const port = Number(process.argv[2] ?? 8787);
+
+createServer(async (req, res) => {
+  const chunks: Buffer[] = [];
+  for await (const chunk of req) chunks.push(chunk as Buffer);
+  const headers = new Headers();
+  for (const [name, value] of Object.entries(req.headers)) {
+    if (typeof value === "string") headers.set(name, value);
+  }
+  headers.set("cf-connecting-ip", req.socket.remoteAddress ?? "local");
+  const request = new Request(`http://localhost:${port}${req.url}`, {
+    method: req.method,
+    headers,
+    body: req.method === "GET" || req.method === "HEAD" ? undefined : Buffer.concat(chunks),
+  });
+  const response = await worker.fetch(request, { ...process.env, ASSETS, RELAY_RATE_LIMITER });
+  res.writeHead(response.status, Object.fromEntries(response.headers));
+  res.end(Buffer.from(await response.arrayBuffer()));
+}).listen(port, () => {
+  const relay = process.env.RELAYER_PRIVATE_KEY ? "relay enabled" : "relay disabled: RELAYER_PRIVATE_KEY unset";
+  console.error(`Serving ./frontend on http://localhost:${port} (${relay})`);
+});
@@ -0,0 +1,501 @@
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import { mkdtempSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { describe, it } from "node:test";
+import { fileURLToPath } from "node:url";
+import { decodeFunctionData, keccak256, recoverTypedDataAddress } from "viem";
+import { privateKeyToAccount } from "viem/accounts";
+
+import {
+  DEFAULT_MULTICALL3_ADDRESS,
+  REQUEST_DOMAIN,
+  REQUEST_TYPE,
+  batchRead,
+  cadmosAbi,
+  checkWalletSetup,
+  controllerAbi,
+  erc20Abi,
+  firstNonceGap,
+  planRecoveryCalls,
+  requestDigest,
+  serializeBundle,
+  signRecoveryCalls,
+  simulateExecution,
+} from "../frontend/recoveryPlan.js";
+
+const SCRIPT = fileURLToPath(new URL("../scripts/generateRecoveryPayloads.ts", import.meta.url));
+// The script runs with type stripping, which needs Node 22.6 or later.
+const STRIP_TYPES = spawnSync(process.execPath, ["--experimental-strip-types", "--eval", ""]).status === 0;
+
+// Anvil's second default account.
+const signer = privateKeyToAccount("0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d");
+
+const CHAIN_ID = 42161;
+const WALLET = "0x1111111111111111111111111111111111111111";
+const CONTROLLER = "0x2222222222222222222222222222222222222222";
+const CADMOS = "0x3333333333333333333333333333333333333333";
+const UNDERLYING = "0x4444444444444444444444444444444444444444";
+const TOKEN = "0x5555555555555555555555555555555555555555";
+const EMPTY_TOKEN = "0x6666666666666666666666666666666666666666";
+const IMPLEMENTATION = "0x7777777777777777777777777777777777777777";
+const DESTINATION = signer.address;
+
+const WALLET_CODE = "0x6080604052348015600f57600080fd5b50";
+const CLONE_CODE = `0x363d3d373d3d3d363d73${IMPLEMENTATION.slice(2)}5af43d82803e903d91602b57fd5bf3`;
+
+/**
+ * A PublicClient stand-in. `reads` maps `${address}:${functionName}` (lowercase address) to a value, or to
+ * a function of the call's args; a read with no entry reverts, as a missing view function would.
+ * `code` maps lowercase addresses to bytecode. Every `multicall` request is recorded in `multicalls`.
+ */
+function stubClient({ reads = {}, code = {}, balance = 0n, simulate } = {}) {
+  const client = {
+    multicalls: [],
+    readCount: 0,
+    async readContract({ address, functionName, args }) {
+      client.readCount++;
+      const key = `${address.toLowerCase()}:${functionName}`;
+      if (!(key in reads)) throw new Error(`execution reverted: ${key}`);
+      const value = reads[key];
+      return typeof value === "function" ? value(args) : value;
+    },
+    async multicall({ contracts, multicallAddress }) {
+      client.multicalls.push({ multicallAddress, count: contracts.length });
+      return Promise.all(
+        contracts.map(async (contract) => {
+          try {
+            return { status: "success", result: await client.readContract(contract) };
+          } catch (error) {
+            return { status: "failure", error };
+          }
+        })
+      );
+    },
+    async getCode({ address }) {
+      return code[address.toLowerCase()] ?? "0x";
+    },
+    async getStorageAt() {
+      return `0x${"0".repeat(64)}`;
+    },
+    async getBalance() {
+      return balance;
+    },
+    async simulateContract(request) {
+      return simulate(request);
+    },
+  };
+  return client;
+}
+
+function key(address, functionName) {
+  return `${address.toLowerCase()}:${functionName}`;
+}
+
+// A wallet with 5 underlying in Cadmos (redeemable as 4 shares), 7 TOKEN and an empty token.
+function walletReads({ nonce = 5n } = {}) {
+  return {
+    [key(WALLET, "nonce")]: nonce,
+    [key(CADMOS, "maxWithdraw")]: 5_000_000n,
+    [key(CADMOS, "maxRedeem")]: 4_000_000n,
+    [key(CADMOS, "asset")]: UNDERLYING,
+    [key(CADMOS, "symbol")]: "cUSD",
+    [key(CADMOS, "decimals")]: 6,
+    [key(UNDERLYING, "symbol")]: "USD",
+    [key(UNDERLYING, "decimals")]: 6,
+    [key(TOKEN, "balanceOf")]: 7_000_000_000_000_000_000n,
+    [key(TOKEN, "symbol")]: "TKN",
+    [key(TOKEN, "decimals")]: 18,
+    [key(EMPTY_TOKEN, "balanceOf")]: 0n,
+  };
+}
+
+function planOptions(overrides = {}) {
+  return {
+    wallet: WALLET,
+    destination: DESTINATION,
+    cadmosToken: CADMOS,
+    mode: "standard",
+    deadline: BigInt(Math.floor(Date.now() / 1000) + 3600),
+    tokens: [{ address: TOKEN }, { address: EMPTY_TOKEN }],
+    multicall3: null,
+    ...overrides,
+  };
+}
+
+function functionNames(calls) {
+  return calls.map((call) => decodeFunctionData({ abi: [...cadmosAbi, ...erc20Abi], data: call.data }).functionName);
+}
+
+async function signedBundle(client, options = {}) {
+  const planned = await planRecoveryCalls(client, planOptions(options));
+  const plan = {
+    chainId: CHAIN_ID,
+    wallet: WALLET,
+    signatory: signer.address,
+    walletNonce: planned.nonce,
+    calls: planned.calls,
+  };
+  return {
+    ...plan,
+    controller: CONTROLLER,
+    destination: DESTINATION,
+    continueOnFailure: true,
+    mode: "standard",
+    nativeBalance: planned.nativeBalance,
+    planNotes: planned.skipped,
+    calls: await signRecoveryCalls(plan, (typedData) => signer.signTypedData(typedData)),
+  };
+}
+
+describe("batchRead", () => {
+  const requests = [
+    { address: TOKEN, abi: erc20Abi, functionName: "symbol", fallback: "?" },
+    { address: TOKEN, abi: erc20Abi, functionName: "name", fallback: "no name" },
+  ];
+  const reads = { [key(TOKEN, "symbol")]: "TKN" };
+
+  it("falls back to individual reads when Multicall3 has no code", async () => {
+    const client = stubClient({ reads });
+    assert.deepEqual(await batchRead(client, DEFAULT_MULTICALL3_ADDRESS, requests), ["TKN", "no name"]);
+    assert.equal(client.multicalls.length, 0);
+    assert.equal(client.readCount, 2);
+  });
+
+  it("reads individually when no Multicall3 address is given", async () => {
+    const client = stubClient({ reads, code: { [DEFAULT_MULTICALL3_ADDRESS.toLowerCase()]: "0x60" } });
+    assert.deepEqual(await batchRead(client, null, requests), ["TKN", "no name"]);
+    assert.equal(client.multicalls.length, 0);
+  });
+
+  it("uses Multicall3 when it has code and resolves failures to their fallback", async () => {
+    const client = stubClient({ reads, code: { [DEFAULT_MULTICALL3_ADDRESS.toLowerCase()]: "0x60" } });
+    assert.deepEqual(await batchRead(client, DEFAULT_MULTICALL3_ADDRESS, requests), ["TKN", "no name"]);
+    assert.deepEqual(client.multicalls, [{ multicallAddress: DEFAULT_MULTICALL3_ADDRESS, count: 2 }]);
+  });
+
+  it("resolves a whole chunk to its fallbacks when the multicall itself fails", async () => {
+    const client = stubClient({ reads, code: { [DEFAULT_MULTICALL3_ADDRESS.toLowerCase()]: "0x60" } });
+    client.multicall = async () => {
+      throw new Error("multicall unsupported");
+    };
+    assert.deepEqual(await batchRead(client, DEFAULT_MULTICALL3_ADDRESS, requests), ["?", "no name"]);
+  });
+});
+
+describe("planRecoveryCalls", () => {
+  it("plans withdraw, the redeem fallback, then token transfers, skipping empty balances", async () => {
+    const plan = await planRecoveryCalls(stubClient({ reads: walletReads(), balance: 10n }), planOptions());
+
+    assert.equal(plan.nonce, 5n);
+    assert.equal(plan.nativeBalance, 10n);
+    assert.deepEqual(functionNames(plan.calls), ["withdraw", "redeem", "transfer"]);
+    assert.deepEqual(
+      plan.calls.map((call) => call.target),
+      [CADMOS, CADMOS, TOKEN]
+    );
+    assert.deepEqual(
+      plan.assets.map((asset) => [asset.action, asset.amount]),
+      [
+        ["withdraw", 5_000_000n],
+        ["redeem (fallback)", 4_000_000n],
+        ["transfer", 7_000_000_000_000_000_000n],
+      ]
+    );
+    const { args } = decodeFunctionData({ abi: erc20Abi, data: plan.calls[2].data });
+    assert.deepEqual(args, [DESTINATION, 7_000_000_000_000_000_000n]);
+    assert.deepEqual(plan.skipped, []);
+  });
+
+  it("leaves out the redeem fallback when every step is signed up front", async () => {
+    const plan = await planRecoveryCalls(stubClient({ reads: walletReads() }), planOptions({ signedUpFront: true }));
+
+    assert.deepEqual(functionNames(plan.calls), ["withdraw", "transfer"]);
+    assert.equal(plan.skipped.length, 1);
+    assert.match(plan.skipped[0], /redeem fallback left out/);
+  });
+
+  it("applies manual caps and leaves out the redeem fallback", async () => {
+    const plan = await planRecoveryCalls(
+      stubClient({ reads: walletReads() }),
+      planOptions({ mode: "manual", cadmosAmount: 1_000_000n, caps: new Map([[TOKEN, "2.5"]]) })
+    );
+
+    assert.deepEqual(functionNames(plan.calls), ["withdraw", "transfer"]);
+    assert.deepEqual(
+      plan.assets.map((asset) => asset.amount),
+      [1_000_000n, 2_500_000_000_000_000_000n]
+    );
+  });
+
+  it("throws when the wallet nonce cannot be read", async () => {
+    const reads = walletReads();
+    delete reads[key(WALLET, "nonce")];
+    await assert.rejects(planRecoveryCalls(stubClient({ reads }), planOptions()), /Could not read nonce\(\)/);
+  });
+});
+
+describe("signRecoveryCalls", () => {
+  it("signs each call at walletNonce + i over the Request digest, in plan order", async () => {
+    const planned = await planRecoveryCalls(stubClient({ reads: walletReads({ nonce: 9n }) }), planOptions());
+    const plan = { chainId: CHAIN_ID, wallet: WALLET, signatory: signer.address, walletNonce: 9n, calls: planned.calls };
+    const order = [];
+    const signed = await signRecoveryCalls(
+      plan,
+      (typedData) => {
+        order.push(["sign", typedData.message.nonce]);
+        return signer.signTypedData(typedData);
+      },
+      (i, call, nonce, digest) => order.push(["onSign", i, nonce, digest])
+    );
+
+    assert.deepEqual(
+      signed.map((call) => call.nonce),
+      [9n, 10n, 11n]
+    );
+    for (let i = 0; i < signed.length; i++) {
+      const call = signed[i];
+      assert.equal(call.digest, requestDigest(CHAIN_ID, WALLET, plan.calls[i], call.nonce));
+      assert.equal(call.signatory, signer.address);
+      assert.equal(call.target, plan.calls[i].target);
+      assert.equal(call.data, plan.calls[i].data);
+      const recovered = await recoverTypedDataAddress({
+        domain: { ...REQUEST_DOMAIN, chainId: CHAIN_ID, verifyingContract: WALLET },
+        types: {
+          Request: [
+            { name: "target", type: "address" },
+            { name: "value", type: "uint256" },
+            { name: "deadline", type: "uint256" },
+            { name: "nonce", type: "uint256" },
+            { name: "data", type: "bytes" },
+          ],
+        },
+        primaryType: "Request",
+        message: { target: call.target, value: 0n, deadline: call.deadline, nonce: call.nonce, data: call.data },
+        signature: call.signature,
+      });
+      assert.equal(recovered, signer.address);
+    }
+    assert.deepEqual(order, [
+      ["onSign", 0, 9n, signed[0].digest],
+      ["sign", 9n],
+      ["onSign", 1, 10n, signed[1].digest],
+      ["sign", 10n],
+      ["onSign", 2, 11n, signed[2].digest],
+      ["sign", 11n],
+    ]);
+  });
+});
+
+describe("serializeBundle", { skip: !STRIP_TYPES && "needs node --experimental-strip-types (Node >= 22.6)" }, () => {
+  // Runs the script's `verify`, which reads the file with `loadBundle` and rechecks digests and signatures.
+  function verify(json) {
+    const dir = mkdtempSync(join(tmpdir(), "recovery-bundle-"));
+    try {
+      const file = join(dir, "bundle.json");
+      writeFileSync(file, JSON.stringify(json, null, 2));
+      const result = spawnSync(process.execPath, ["--experimental-strip-types", "--no-warnings", SCRIPT, "verify", file], {
+        cwd: dir,
+        encoding: "utf8",
+        timeout: 60_000,
+      });
+      return { status: result.status, report: result.stdout ? JSON.parse(result.stdout) : null, stderr: result.stderr };
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  }
+
+  it("writes a bundle the script loads and verifies", async () => {
+    const bundle = await signedBundle(stubClient({ reads: walletReads() }), { signedUpFront: true });
+    const json = JSON.parse(JSON.stringify(serializeBundle(bundle)));
+
+    assert.equal(json.walletNonce, "5");
+    assert.deepEqual(
+      json.calls.map((call) => call.nonce),
+      ["5", "6"]
+    );
+    assert.deepEqual(json.digests, bundle.calls.map((call) => call.digest));
+
+    const { status, report, stderr } = verify(json);
+    assert.equal(status, 0, stderr);
+    assert.equal(report.ok, true);
+    assert.equal(report.calldata.matches, true);
+    assert.deepEqual(
+      report.calls.map((call) => [call.nonce, call.digest, call.signer]),
+      bundle.calls.map((call) => [call.nonce.toString(), call.digest, signer.address])
+    );
+  });
+
+  it("fails verification when a signed call is altered", async () => {
+    const bundle = await signedBundle(stubClient({ reads: walletReads() }), { signedUpFront: true });
+    const json = JSON.parse(JSON.stringify(serializeBundle(bundle)));
+    json.calls[1].nonce = "7";
+    json.executeSignedCallsInput.calls[1].nonce = "7";
+
+    const { status, report } = verify(json);
+    assert.notEqual(status, 0);
+    assert.equal(report.ok, false);
+  });
+
+  it("fails verification when the bundle does not state continueOnFailure", async () => {
+    const bundle = await signedBundle(stubClient({ reads: walletReads() }), { signedUpFront: true });
+    const json = JSON.parse(JSON.stringify(serializeBundle(bundle)));
+    delete json.continueOnFailure;
+    delete json.executeSignedCallsInput.continueOnFailure;
+
+    const { status, report } = verify(json);
+    assert.notEqual(status, 0);
+    assert.equal(report.calldata, null);
+    assert.deepEqual(report.problems, ["continueOnFailure is missing; it must be true or false"]);
+  });
+});
+
+describe("checkWalletSetup", () => {
+  // Any `(address) view returns (bool)` works; profiles name the UserWallet's real one.
+  const setup = {
+    chainId: CHAIN_ID,
+    wallet: WALLET,
+    signatory: signer.address,
+    controller: CONTROLLER,
+    codeHashes: [keccak256(WALLET_CODE)],
+    signatoryView: "function mayCall(address account) view returns (bool)",
+  };
+
+  function setupReads(overrides = {}) {
+    return {
+      [key(WALLET, "mayCall")]: ([account]) => account === signer.address,
+      [key(CONTROLLER, "signingDomainName")]: REQUEST_DOMAIN.name,
+      [key(CONTROLLER, "signingDomainVersion")]: REQUEST_DOMAIN.version,
+      [key(CONTROLLER, "signingRequestType")]: REQUEST_TYPE,
+      ...overrides,
+    };
+  }
+
+  it("accepts a known wallet, an authorized signatory and the signed domain", async () => {
+    const client = stubClient({ reads: setupReads(), code: { [WALLET]: WALLET_CODE } });
+    assert.deepEqual(await checkWalletSetup(client, setup), { problems: [], warnings: [] });
+  });
+
+  it("refuses an address without code", async () => {
+    const { problems } = await checkWalletSetup(stubClient({ reads: setupReads() }), setup);
+    assert.equal(problems.length, 1);
+    assert.match(problems[0], /has no contract code/);
+  });
+
+  it("refuses unknown code", async () => {
+    const client = stubClient({ reads: setupReads(), code: { [WALLET]: "0x6001" } });
+    const { problems } = await checkWalletSetup(client, setup);
+    assert.equal(problems.length, 1);
+    assert.match(problems[0], /is not a known Cadmos UserWallet/);
+  });
+
+  it("accepts an EIP-1167 clone of a known implementation", async () => {
+    const client = stubClient({ reads: setupReads(), code: { [WALLET]: CLONE_CODE, [IMPLEMENTATION]: WALLET_CODE } });
+    assert.deepEqual((await checkWalletSetup(client, setup)).problems, []);
+  });
+
+  it("warns, rather than refuses, when no code hashes are configured", async () => {
+    const client = stubClient({ reads: setupReads(), code: { [WALLET]: "0x6001" } });
+    const { problems, warnings } = await checkWalletSetup(client, { ...setup, codeHashes: [] });
+    assert.deepEqual(problems, []);
+    assert.equal(warnings.length, 1);
+    assert.match(warnings[0], /Smart Account code NOT verified/);
+  });
+
+  it("warns, rather than refuses, when no signatory view is configured", async () => {
+    const client = stubClient({ reads: setupReads(), code: { [WALLET]: WALLET_CODE } });
+    const { problems, warnings } = await checkWalletSetup(client, { ...setup, signatoryView: undefined });
+    assert.deepEqual(problems, []);
+    assert.equal(warnings.length, 1);
+    assert.match(warnings[0], /Signatory NOT verified: no signatoryView/);
+  });
+
+  it("warns, rather than refuses, when the signatory view reverts", async () => {
+    const client = stubClient({ reads: setupReads(), code: { [WALLET]: WALLET_CODE } });
+    const { problems, warnings } = await checkWalletSetup(client, {
+      ...setup,
+      signatoryView: "function isOwner(address account) view returns (bool)",
+    });
+    assert.deepEqual(problems, []);
+    assert.equal(warnings.length, 1);
+    assert.match(warnings[0], /isOwner\(0x[0-9a-fA-F]{40}\) reverted/);
+  });
+
+  it("refuses a signatory the wallet does not authorize", async () => {
+    const client = stubClient({ reads: setupReads(), code: { [WALLET]: WALLET_CODE } });
+    const { problems } = await checkWalletSetup(client, { ...setup, signatory: DESTINATION.replace(/.$/, "0") });
+    assert.equal(problems.length, 1);
+    assert.match(problems[0], /is not an authorized signatory/);
+  });
+
+  it("refuses a controller that signs for another domain", async () => {
+    const client = stubClient({
+      reads: setupReads({ [key(CONTROLLER, "signingDomainVersion")]: "2" }),
+      code: { [WALLET]: WALLET_CODE },
+    });
+    const { problems } = await checkWalletSetup(client, setup);
+    assert.equal(problems.length, 1);
+    assert.match(problems[0], /expects EIP-712 domain "Cadmos UserWallet" version "2"/);
+  });
+
+  it("refuses a wallet whose ERC-5267 domain differs", async () => {
+    const client = stubClient({
+      reads: setupReads({
+        [key(WALLET, "eip712Domain")]: ["0x0f", REQUEST_DOMAIN.name, REQUEST_DOMAIN.version, 1n, WALLET, `0x${"0".repeat(64)}`, []],
+      }),
+      code: { [WALLET]: WALLET_CODE },
+    });
+    const { problems } = await checkWalletSetup(client, setup);
+    assert.equal(problems.length, 1);
+    assert.match(problems[0], /reports EIP-712 domain/);
+  });
+});
+
+describe("firstNonceGap", () => {
+  it("finds the first failure that has calls after it", () => {
+    assert.equal(firstNonceGap([true, true, true]), -1);
+    assert.equal(firstNonceGap([true, true, false]), -1);
+    assert.equal(firstNonceGap([true, false, true, false]), 1);
+    assert.equal(firstNonceGap([]), -1);
+  });
+});
+
+describe("simulateExecution", () => {
+  it("simulates executeSignedCalls and reports each call's result", async () => {
+    const bundle = await signedBundle(stubClient({ reads: walletReads() }), { signedUpFront: true });
+    let request;
+    const client = stubClient({
+      simulate(req) {
+        request = req;
+        return { result: [[true, false], ["0x", "0x08c379a0"]] };
+      },
+    });
+
+    const simulation = await simulateExecution(client, bundle, DESTINATION);
+    assert.equal(request.functionName, "executeSignedCalls");
+    assert.equal(request.address, CONTROLLER);
+    assert.equal(request.account, DESTINATION);
+    assert.equal(request.abi, controllerAbi);
+    assert.deepEqual(simulation, {
+      functionName: "executeSignedCalls",
+      revert: null,
+      calls: [
+        { note: bundle.calls[0].note, success: true, returnData: "0x" },
+        { note: bundle.calls[1].note, success: false, returnData: "0x08c379a0" },
+      ],
+    });
+  });
+
+  it("reports why the whole transaction would revert", async () => {
+    const bundle = await signedBundle(stubClient({ reads: walletReads() }), { signedUpFront: true });
+    const client = stubClient({
+      simulate() {
+        throw Object.assign(new Error("reverted"), { shortMessage: "Execution reverted.", reason: "BadSignature" });
+      },
+    });
+
+    const simulation = await simulateExecution(client, bundle, DESTINATION);
+    assert.deepEqual(simulation, { functionName: "executeSignedCalls", revert: "BadSignature", calls: [] });
+  });
+});
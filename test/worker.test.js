@@ -0,0 +1,214 @@
+import assert from "node:assert/strict";
+import { createServer } from "node:http";
+import { after, before, describe, it } from "node:test";
+import {
+  decodeFunctionData,
+  encodeFunctionData,
+  encodeFunctionResult,
+  keccak256,
+  parseAbi,
+  parseTransaction,
+} from "viem";
+import { privateKeyToAccount } from "viem/accounts";
+
+import { CADMOS_PROFILES } from "../frontend/profiles.js";
+import { REQUEST_DOMAIN, REQUEST_TYPE, cadmosAbi, controllerAbi, serializeBundle, signRecoveryCalls, walletAbi } from "../frontend/recoveryPlan.js";
+import worker, { RelayRateLimiter } from "../worker.js";
+
+// Anvil's first two default accounts: the relayer pays gas, the signatory signed the bundle.
+const RELAYER_KEY = "0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80";
+const signer = privateKeyToAccount("0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d");
+
+const CHAIN_ID = 42161;
+const { controller: CONTROLLER, cadmosToken: CADMOS } = CADMOS_PROFILES[CHAIN_ID];
+const WALLET = "0x1111111111111111111111111111111111111111";
+const WALLET_CODE = "0x6080604052348015600f57600080fd5b50";
+const WALLET_NONCE = 5n;
+const TX_HASH = `0x${"ab".repeat(32)}`;
+
+const viewAbi = [...walletAbi, ...controllerAbi];
+
+/**
+ * A JSON-RPC node just capable enough for `relayBundle`: the wallet at `WALLET` has `WALLET_CODE` and
+ * nonce `WALLET_NONCE`, the profile controller signs Cadmos Requests and predicts every call succeeds.
+ * Raw transactions are recorded in `sent`.
+ */
+function startRpc() {
+  const rpc = { sent: [] };
+  const answer = ({ method, params }) => {
+    switch (method) {
+      case "eth_chainId":
+        return `0x${CHAIN_ID.toString(16)}`;
+      case "eth_getCode":
+        return params[0].toLowerCase() === WALLET ? WALLET_CODE : "0x";
+      case "eth_call": {
+        const { to, data } = params[0];
+        const { functionName, args } = decodeFunctionData({ abi: viewAbi, data });
+        const results = {
+          [`${WALLET}:nonce`]: WALLET_NONCE,
+          [`${CONTROLLER.toLowerCase()}:signingDomainName`]: REQUEST_DOMAIN.name,
+          [`${CONTROLLER.toLowerCase()}:signingDomainVersion`]: REQUEST_DOMAIN.version,
+          [`${CONTROLLER.toLowerCase()}:signingRequestType`]: REQUEST_TYPE,
+        };
+        const key = `${to.toLowerCase()}:${functionName}`;
+        if (functionName === "executeSignedCalls" && key.startsWith(CONTROLLER.toLowerCase())) {
+          const count = args[1].length;
+          return encodeFunctionResult({ abi: viewAbi, functionName, result: [Array(count).fill(true), Array(count).fill("0x")] });
+        }
+        if (!(key in results)) throw Object.assign(new Error("execution reverted"), { code: 3 });
+        return encodeFunctionResult({ abi: viewAbi, functionName, result: results[key] });
+      }
+      case "eth_estimateGas":
+        return "0x30000";
+      case "eth_getTransactionCount":
+        return "0x0";
+      case "eth_gasPrice":
+        return "0x3b9aca00";
+      case "eth_maxPriorityFeePerGas":
+        return "0x1";
+      case "eth_getBlockByNumber":
+        return { number: "0x100", hash: TX_HASH, baseFeePerGas: "0x3b9aca00", timestamp: "0x1", transactions: [] };
+      case "eth_sendRawTransaction":
+        rpc.sent.push(params[0]);
+        return TX_HASH;
+      default:
+        throw Object.assign(new Error(`${method} not supported`), { code: -32601 });
+    }
+  };
+  const handle = (message) => {
+    try {
+      return { jsonrpc: "2.0", id: message.id, result: answer(message) };
+    } catch (error) {
+      return { jsonrpc: "2.0", id: message.id, error: { code: error.code, message: error.message, data: "0x" } };
+    }
+  };
+
+  rpc.server = createServer(async (req, res) => {
+    let body = "";
+    for await (const chunk of req) body += chunk;
+    const message = JSON.parse(body);
+    res.setHeader("content-type", "application/json");
+    res.end(JSON.stringify(Array.isArray(message) ? message.map(handle) : handle(message)));
+  });
+  return new Promise((resolve) => rpc.server.listen(0, "127.0.0.1", () => resolve(rpc)));
+}
+
+// One in-memory `RelayRateLimiter` per name, as `scripts/localRelay.ts` binds it.
+function rateLimiterBinding() {
+  const limiters = new Map();
+  return {
+    idFromName: (name) => name,
+    get(id) {
+      if (!limiters.has(id)) {
+        const values = new Map();
+        const storage = {
+          get: async (key) => values.get(key),
+          put: async (key, value) => void values.set(key, value),
+          deleteAll: async () => values.clear(),
+          setAlarm: async () => {},
+        };
+        limiters.set(id, new RelayRateLimiter({ storage }));
+      }
+      const limiter = limiters.get(id);
+      return { fetch: (url, init) => limiter.fetch(new Request(url, init)) };
+    },
+  };
+}
+
+async function signedBundle({ walletNonce = WALLET_NONCE } = {}) {
+  const deadline = BigInt(Math.floor(Date.now() / 1000) + 3600);
+  const plan = {
+    chainId: CHAIN_ID,
+    wallet: WALLET,
+    signatory: signer.address,
+    walletNonce,
+    calls: [
+      {
+        target: CADMOS,
+        data: encodeFunctionData({ abi: cadmosAbi, functionName: "withdraw", args: [1_000_000n, signer.address, WALLET] }),
+        deadline,
+        note: "cadmos.withdraw",
+      },
+    ],
+  };
+  const calls = await signRecoveryCalls(plan, (typedData) => signer.signTypedData(typedData));
+  return serializeBundle({
+    ...plan,
+    controller: CONTROLLER,
+    destination: signer.address,
+    continueOnFailure: true,
+    mode: "standard",
+    calls,
+  });
+}
+
+describe("worker /relay", () => {
+  let rpc;
+  let env;
+
+  before(async () => {
+    rpc = await startRpc();
+    env = {
+      RELAYER_PRIVATE_KEY: RELAYER_KEY,
+      RELAY_RPC_URL_42161: `http://127.0.0.1:${rpc.server.address().port}`,
+      RELAY_WALLET_CODE_HASHES_42161: keccak256(WALLET_CODE),
+      RELAY_RATE_LIMITER: rateLimiterBinding(),
+    };
+  });
+  after(() => rpc.server.close());
+
+  async function relay(body, overrides = {}) {
+    const response = await worker.fetch(
+      new Request("https://recovery.test/relay", { method: "POST", body: JSON.stringify(body) }),
+      { ...env, ...overrides }
+    );
+    return { status: response.status, body: await response.json() };
+  }
+
+  it("submits executeSignedCalls for an accepted bundle", async () => {
+    const bundle = await signedBundle();
+    const { status, body } = await relay(bundle);
+
+    assert.equal(status, 200, body.error);
+    assert.equal(body.txHash, TX_HASH);
+    assert.equal(body.relayer, privateKeyToAccount(RELAYER_KEY).address);
+    assert.equal(body.walletNonce, "5");
+    assert.deepEqual(body.predicted, [{ index: 0, ok: true }]);
+
+    assert.equal(rpc.sent.length, 1);
+    const transaction = parseTransaction(rpc.sent[0]);
+    assert.equal(transaction.to.toLowerCase(), CONTROLLER.toLowerCase());
+    assert.equal(transaction.data, bundle.executeSignedCallsCalldata);
+  });
+
+  it("refuses a chain without wallet code hashes", async () => {
+    const sent = rpc.sent.length;
+    const { status, body } = await relay(await signedBundle(), { RELAY_WALLET_CODE_HASHES_42161: "" });
+
+    assert.equal(status, 503);
+    assert.match(body.error, /no UserWallet code hashes are configured/);
+    assert.equal(rpc.sent.length, sent);
+  });
+
+  it("refuses signatures made for another nonce", async () => {
+    const sent = rpc.sent.length;
+    const { status, body } = await relay(await signedBundle({ walletNonce: WALLET_NONCE + 1n }));
+
+    assert.equal(status, 409);
+    assert.match(body.error, /is not signed by .* for nonce 5/);
+    assert.equal(rpc.sent.length, sent);
+  });
+
+  it("refuses calls that are not recovery calls", async () => {
+    const bundle = await signedBundle();
+    bundle.calls[0].data = encodeFunctionData({
+      abi: parseAbi(["function approve(address spender, uint256 amount)"]),
+      functionName: "approve",
+      args: [signer.address, 1n],
+    });
+
+    const { status, body } = await relay(bundle);
+    assert.equal(status, 400);
+    assert.match(body.error, /only sponsors approve\(spender, 0\)/);
+  });
+});
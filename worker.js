@@ -1,5 +1,310 @@
+import {
+  createPublicClient,
+  createWalletClient,
+  decodeFunctionData,
+  getAddress,
+  http,
+  isAddress,
+  parseAbi,
+  recoverAddress,
+} from "viem";
+import { privateKeyToAccount } from "viem/accounts";
+import { CADMOS_PROFILES } from "./frontend/profiles.js";
+import { checkWalletSetup, controllerAbi, requestDigest, walletAbi } from "./frontend/recoveryPlan.js";
+
+/**
+ * Serves the frontend and, when `RELAYER_PRIVATE_KEY` is set, a sponsor relay at `POST /relay`.
+ *
+ * The relay pays gas for bundles a signatory already signed. It refuses anything it would not want to
+ * pay for: unknown chains or controllers, chains with no known UserWallet code hashes, wallets that
+ * fail `checkWalletSetup` (not a known UserWallet, or the signatory is rejected by it), calls that
+ * are not recovery calls on the Smart Account's own funds, signatures that do not recover to the stated
+ * signatory at the live nonce, and transactions that would revert or recover nothing. Environment:
+ *   RELAYER_PRIVATE_KEY        secret; without it `/relay` answers 503
+ *   RELAY_RATE_LIMITER         Durable Object binding of `RelayRateLimiter`; without it `/relay` answers 503
+ *   RELAY_RPC_URL_<chainId>    optional RPC override (default: the profile's first `rpcUrls` entry)
+ *   RELAY_WALLET_CODE_HASHES_<chainId>  optional comma-separated override of the profile's `walletCodeHashes`;
+ *                              a chain with neither answers 503
+ *   RELAY_RATE_LIMIT_PER_HOUR  requests per client IP per hour (default 5)
+ *   RELAY_MAX_GAS              largest gas estimate the relayer will pay for (default 3000000)
+ */
+
+// Recovery calls the relay sponsors. `owner` is the argument that must be the Smart Account itself;
+// approve is only sponsored as a revocation (amount 0).
+const recoveryAbi = parseAbi([
+  "function withdraw(uint256 assets, address receiver, address owner) returns (uint256)",
+  "function redeem(uint256 shares, address receiver, address owner) returns (uint256)",
+  "function transfer(address to, uint256 amount) returns (bool)",
+  "function approve(address spender, uint256 amount) returns (bool)",
+  "function safeTransferFrom(address from, address to, uint256 tokenId)",
+  "function safeTransferFrom(address from, address to, uint256 id, uint256 amount, bytes data)",
+]);
+const OWNER_ARGUMENT = { withdraw: 2, redeem: 2, safeTransferFrom: 0 };
+
+const MAX_BODY_BYTES = 64 * 1024;
+const MAX_CALLS = 50;
+const DEFAULT_RATE_LIMIT_PER_HOUR = 5;
+const DEFAULT_MAX_GAS = 3_000_000n;
+const RATE_WINDOW_MS = 60 * 60 * 1000;
+
+class RelayError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
 export default {
-    async fetch(request, env) {
-      return env.ASSETS.fetch(request);
+  async fetch(request, env) {
+    const url = new URL(request.url);
+    if (url.pathname === "/relay") {
+      return handleRelay(request, env);
+    }
+    return env.ASSETS.fetch(request);
+  },
+};
+
+async function handleRelay(request, env) {
+  if (request.method === "OPTIONS") return json(204, null);
+  try {
+    if (request.method !== "POST") throw new RelayError(405, "Use POST with a signed bundle.");
+    if (!env.RELAYER_PRIVATE_KEY) throw new RelayError(503, "This deployment has no relayer configured.");
+    await checkRateLimit(request, env);
+    const bundle = parseRelayRequest(await readBody(request), env);
+    return json(200, await relayBundle(bundle, env));
+  } catch (error) {
+    if (error instanceof RelayError) return json(error.status, { error: error.message });
+    return json(502, { error: `Relay failed: ${error?.shortMessage ?? error?.message ?? String(error)}` });
+  }
+}
+
+function json(status, body) {
+  return new Response(body === null ? null : JSON.stringify(body), {
+    status,
+    headers: {
+      "content-type": "application/json",
+      "access-control-allow-origin": "*",
+      "access-control-allow-methods": "POST, OPTIONS",
+      "access-control-allow-headers": "content-type",
     },
-  };
\ No newline at end of file
+  });
+}
+
+// Counted in one `RelayRateLimiter` per client IP, so the limit holds across isolates and restarts.
+async function checkRateLimit(request, env) {
+  if (!env.RELAY_RATE_LIMITER) throw new RelayError(503, "This deployment has no relay rate limiter configured.");
+  const limit = Number(env.RELAY_RATE_LIMIT_PER_HOUR ?? DEFAULT_RATE_LIMIT_PER_HOUR);
+  const client = request.headers.get("cf-connecting-ip") ?? request.headers.get("x-forwarded-for") ?? "local";
+  const limiter = env.RELAY_RATE_LIMITER.get(env.RELAY_RATE_LIMITER.idFromName(client));
+  const response = await limiter.fetch("https://rate-limiter/count", { method: "POST", body: JSON.stringify({ limit }) });
+  const { allowed, resetAt } = await response.json();
+  if (!allowed) {
+    const minutes = Math.ceil((resetAt - Date.now()) / 60_000);
+    throw new RelayError(429, `Too many relay requests. Try again in ${minutes} minute(s) or broadcast the bundle yourself.`);
+  }
+}
+
+/**
+ * Durable Object holding one client's relay requests in the current window. Each object handles one
+ * request at a time, so counting is exact; an alarm clears the window once it expires.
+ */
+export class RelayRateLimiter {
+  constructor(state) {
+    this.storage = state.storage;
+  }
+
+  async fetch(request) {
+    const { limit } = await request.json();
+    const now = Date.now();
+    let entry = await this.storage.get("window");
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + RATE_WINDOW_MS };
+      await this.storage.setAlarm(entry.resetAt);
+    }
+    const allowed = entry.count < limit;
+    if (allowed) {
+      entry.count += 1;
+      await this.storage.put("window", entry);
+    }
+    return Response.json({ allowed, resetAt: entry.resetAt });
+  }
+
+  async alarm() {
+    await this.storage.deleteAll();
+  }
+}
+
+async function readBody(request) {
+  const text = await request.text();
+  if (text.length > MAX_BODY_BYTES) throw new RelayError(413, `Bundle is larger than ${MAX_BODY_BYTES} bytes.`);
+  try {
+    return JSON.parse(text);
+  } catch {
+    throw new RelayError(400, "Body is not valid JSON.");
+  }
+}
+
+function parseAddressField(label, value) {
+  if (typeof value !== "string" || !isAddress(value)) throw new RelayError(400, `${label} is not an address.`);
+  return getAddress(value);
+}
+
+// The deployment's `RELAY_WALLET_CODE_HASHES_<chainId>` wins over the profile, so hashes can be set without a rebuild.
+function relayCodeHashes(env, chainId, profile) {
+  const configured = env[`RELAY_WALLET_CODE_HASHES_${chainId}`];
+  const hashes = configured === undefined ? (profile.walletCodeHashes ?? []) : configured.split(",").map((hash) => hash.trim()).filter(Boolean);
+  const bad = hashes.find((hash) => !/^0x[0-9a-fA-F]{64}$/.test(hash));
+  if (bad !== undefined) throw new RelayError(503, `Configured wallet code hash ${bad} for chain ${chainId} is not a 32-byte hex hash.`);
+  return hashes;
+}
+
+function parseRelayRequest(body, env) {
+  const profile = CADMOS_PROFILES[String(body?.chainId)];
+  if (!profile) throw new RelayError(400, `No recovery profile for chain ${body?.chainId}.`);
+  // Without known UserWallet code, any contract that accepts its deployer's key would pass every other check.
+  const codeHashes = relayCodeHashes(env, body.chainId, profile);
+  if (codeHashes.length === 0) {
+    throw new RelayError(
+      503,
+      `This relay does not sponsor chain ${body.chainId}: no UserWallet code hashes are configured for it ` +
+        `(walletCodeHashes in profiles.js, or RELAY_WALLET_CODE_HASHES_${body.chainId}). Broadcast the bundle yourself.`
+    );
+  }
+
+  const controller = parseAddressField("controller", body.controller);
+  if (controller !== getAddress(profile.controller)) {
+    throw new RelayError(400, `Controller ${controller} is not the profile controller for chain ${body.chainId}.`);
+  }
+  const wallet = parseAddressField("wallet", body.wallet);
+
+  if (!Array.isArray(body.calls) || body.calls.length === 0 || body.calls.length > MAX_CALLS) {
+    throw new RelayError(400, `Bundle must contain between 1 and ${MAX_CALLS} signed calls.`);
+  }
+  const now = BigInt(Math.floor(Date.now() / 1000));
+  const calls = body.calls.map((call, i) => {
+    if (typeof call.data !== "string" || !/^0x([0-9a-fA-F]{2})*$/.test(call.data)) {
+      throw new RelayError(400, `Call ${i}: data is not hex.`);
+    }
+    if (typeof call.signature !== "string" || !/^0x[0-9a-fA-F]{130}$/.test(call.signature)) {
+      throw new RelayError(400, `Call ${i}: signature must be 65 bytes of hex.`);
+    }
+    if (!/^\d+$/.test(String(call.deadline))) throw new RelayError(400, `Call ${i}: deadline is not a number.`);
+    const parsed = {
+      target: parseAddressField(`Call ${i} target`, call.target),
+      signatory: parseAddressField(`Call ${i} signatory`, call.signatory),
+      data: call.data,
+      signature: call.signature,
+      deadline: BigInt(call.deadline),
+    };
+    if (parsed.deadline <= now) throw new RelayError(400, `Call ${i}: deadline has passed. Ask for a fresh bundle.`);
+    checkRecoveryCall(i, parsed, wallet);
+    return parsed;
+  });
+  const { signatory } = calls[0];
+  if (calls.some((call) => call.signatory !== signatory)) {
+    throw new RelayError(400, "Every call must be signed by the same signatory.");
+  }
+
+  return {
+    chainId: Number(body.chainId),
+    profile,
+    codeHashes,
+    controller,
+    wallet,
+    signatory,
+    calls,
+    continueOnFailure: body.continueOnFailure !== false,
+  };
+}
+
+// Only calls that move the Smart Account's own assets out (or revoke an approval) are sponsored.
+function checkRecoveryCall(i, call, wallet) {
+  let decoded;
+  try {
+    decoded = decodeFunctionData({ abi: recoveryAbi, data: call.data });
+  } catch {
+    throw new RelayError(400, `Call ${i}: ${call.data.slice(0, 10)} is not a recovery call the relay sponsors.`);
+  }
+  if (decoded.functionName === "approve" && decoded.args[1] !== 0n) {
+    throw new RelayError(400, `Call ${i}: the relay only sponsors approve(spender, 0) revocations.`);
+  }
+  const ownerIndex = OWNER_ARGUMENT[decoded.functionName];
+  if (ownerIndex !== undefined && getAddress(decoded.args[ownerIndex]) !== wallet) {
+    throw new RelayError(400, `Call ${i}: ${decoded.functionName} moves assets of ${decoded.args[ownerIndex]}, not the Smart Account.`);
+  }
+}
+
+async function relayBundle(bundle, env) {
+  const rpcUrl = env[`RELAY_RPC_URL_${bundle.chainId}`] ?? bundle.profile.rpcUrls?.[0];
+  if (!rpcUrl) throw new RelayError(503, `No RPC configured for chain ${bundle.chainId}.`);
+  const transport = http(rpcUrl);
+  const publicClient = createPublicClient({ transport });
+  const account = privateKeyToAccount(env.RELAYER_PRIVATE_KEY);
+
+  const liveChainId = await publicClient.getChainId();
+  if (liveChainId !== bundle.chainId) {
+    throw new RelayError(503, `Relay RPC for chain ${bundle.chainId} answers as chain ${liveChainId}.`);
+  }
+
+  const setup = await checkWalletSetup(publicClient, {
+    chainId: bundle.chainId,
+    wallet: bundle.wallet,
+    signatory: bundle.signatory,
+    controller: bundle.controller,
+    codeHashes: bundle.codeHashes,
+    signatoryView: bundle.profile.signatoryView,
+  });
+  if (setup.problems.length > 0) {
+    throw new RelayError(422, `Not relaying for this Smart Account: ${setup.problems.join("; ")}`);
+  }
+
+  const nonce = await publicClient.readContract({ address: bundle.wallet, abi: walletAbi, functionName: "nonce" });
+  for (let i = 0; i < bundle.calls.length; i++) {
+    const call = bundle.calls[i];
+    const digest = requestDigest(bundle.chainId, bundle.wallet, call, nonce + BigInt(i));
+    const signer = await recoverAddress({ hash: digest, signature: call.signature }).catch(() => null);
+    if (signer !== call.signatory) {
+      throw new RelayError(
+        409,
+        `Call ${i} is not signed by ${call.signatory} for nonce ${nonce + BigInt(i)}. The Smart Account nonce may have moved; ask for a fresh bundle.`
+      );
+    }
+  }
+
+  const args = [bundle.wallet, bundle.calls, bundle.continueOnFailure];
+  let simulation;
+  try {
+    simulation = await publicClient.simulateContract({
+      account,
+      address: bundle.controller,
+      abi: controllerAbi,
+      functionName: "executeSignedCalls",
+      args,
+    });
+  } catch (error) {
+    throw new RelayError(422, `executeSignedCalls would revert: ${error?.shortMessage ?? error?.message ?? error}`);
+  }
+  const [successes] = simulation.result;
+  if (!successes.some(Boolean)) throw new RelayError(422, "Every call is predicted to fail; nothing would be recovered.");
+
+  const gas = await publicClient.estimateContractGas({
+    account,
+    address: bundle.controller,
+    abi: controllerAbi,
+    functionName: "executeSignedCalls",
+    args,
+  });
+  const maxGas = env.RELAY_MAX_GAS ? BigInt(env.RELAY_MAX_GAS) : DEFAULT_MAX_GAS;
+  if (gas > maxGas) throw new RelayError(422, `Bundle needs ${gas} gas; this relay pays for at most ${maxGas}.`);
+
+  const walletClient = createWalletClient({ account, transport });
+  const txHash = await walletClient.writeContract({ ...simulation.request, gas, chain: null });
+
+  return {
+    txHash,
+    chainId: bundle.chainId,
+    relayer: account.address,
+    walletNonce: nonce.toString(),
+    predicted: successes.map((ok, i) => ({ index: i, ok })),
+  };
+}